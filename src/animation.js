@@ -0,0 +1,204 @@
+import { fabric } from 'fabric';
+import './photo';
+import { encodeCanvas } from './export';
+
+/**
+ * 透視動畫 (Animation)
+ *
+ * 在兩個透視狀態之間補間，例如讓平放的布料樣本「落」到沙發上，或在兩組儲存的四邊形之間變形。
+ * 狀態以 fabric.Photo#getPerspectiveState() 取得，包含扭曲座標在畫布上的位置（與 getPerspective() 相同），
+ * 以及物件的縮放與旋轉，以 fabric 的 easing 函式補間。
+ * 每一格與 setPerspective() 相同，經由 _applyPerspective() 套用，扭曲後的圖片不會因為邊界盒改變而位移；
+ * 動畫期間以草稿網格（較粗的 draftDivisions）套用透視濾鏡，最後一格以完整的網格密度繪製。
+ */
+
+// 動畫的預設時間（毫秒）
+const DEFAULT_DURATION = 500;
+// 匯出影格時的預設影格數
+const DEFAULT_FRAMES = 24;
+// 與扭曲座標一起補間的物件屬性
+const OBJECT_PROPERTIES = ['scaleX', 'scaleY', 'angle'];
+
+/**
+ * 取得 easing 函式
+ * @param {string|Function} [easing] fabric.util.ease 中的名稱（例如 'easeOutBounce'）或 easing 函式
+ * @return {Function} 未指定時為 easeInSine（與 fabric.util.animate 的預設值相同）
+ */
+function getEasing(easing) {
+  if (typeof easing === 'string') return fabric.util.ease[easing];
+
+  return easing || fabric.util.ease.easeInSine;
+}
+
+/**
+ * 線性插值兩組相同結構的座標陣列，結構不同時（例如網格的行列數不同）回傳 null
+ * @param {Array|null} from
+ * @param {Array|null} to
+ * @param {number} t
+ * @return {Array|null}
+ */
+function lerpCoords(from, to, t) {
+  if (!Array.isArray(from) || !Array.isArray(to)) return null;
+  if (from.length !== to.length) return null;
+
+  if (typeof from[0] === 'number')
+    return from.map((v, i) => v + (to[i] - v) * t);
+
+  const result = from.map((item, index) => lerpCoords(item, to[index], t));
+  return result.includes(null) ? null : result;
+}
+
+/**
+ * 取得兩個狀態之間 t 的位置的狀態
+ * 網格與切線控制點的結構不同時無法補間，動畫期間省略（undefined），由角點的單應性帶動目前的網格與切線控制點。
+ * @param {Object} from
+ * @param {Object} to
+ * @param {number} t 0..1（easing 超出範圍時會外插）
+ * @return {Object}
+ */
+function interpolateState(from, to, t) {
+  const state = {
+    perspectiveCoords: lerpCoords(
+      from.perspectiveCoords,
+      to.perspectiveCoords,
+      t
+    ),
+    meshCoords: lerpCoords(from.meshCoords, to.meshCoords, t) || undefined,
+    edgeHandles: lerpCoords(from.edgeHandles, to.edgeHandles, t) || undefined,
+  };
+
+  OBJECT_PROPERTIES.forEach((prop) => {
+    state[prop] = from[prop] + (to[prop] - from[prop]) * t;
+  });
+
+  return state;
+}
+
+/**
+ * 將狀態套用到照片上，並重新套用透視濾鏡
+ * 先套用縮放與旋轉，再將畫布上的扭曲座標換算回照片的座標系，因此扭曲後的圖片會落在狀態記錄的位置。
+ * @param {fabric.Photo} photo
+ * @param {Object} state getPerspectiveState() 的結果或插值後的狀態
+ * @param {boolean} draft 是否以草稿網格套用濾鏡
+ */
+function applyState(photo, state, draft) {
+  OBJECT_PROPERTIES.forEach((prop) => photo.set(prop, state[prop]));
+
+  photo._applyPerspective(state.perspectiveCoords, {
+    draft,
+    meshCoords: state.meshCoords,
+    edgeHandles: state.edgeHandles,
+  });
+}
+
+/**
+ * @description 取得目前的透視狀態，可用於 animatePerspective() 的起點或終點
+ * 扭曲座標為畫布上的位置（不含畫布的縮放與平移，與 getPerspective() 相同），
+ * 狀態與畫布的縮放、平移無關。
+ * @return {Object|null} 尚未初始化透視座標時回傳 null
+ */
+fabric.Photo.prototype.getPerspectiveState = function () {
+  if (!this.perspectiveCoords) return null;
+
+  const toCanvas = (rows) =>
+    rows && rows.map((row) => this._toCanvasCoords(row));
+  const state = {
+    perspectiveCoords: this.getPerspective(),
+    meshCoords: toCanvas(this.meshCoords),
+    edgeHandles: toCanvas(this.edgeHandles),
+  };
+  OBJECT_PROPERTIES.forEach((prop) => (state[prop] = this[prop]));
+
+  return state;
+};
+
+/**
+ * @description 從 from 狀態補間到 to 狀態
+ * 與 setPerspective() 的動畫相同：每一格觸發 'perspective:changing'，完成時觸發 'perspective:changed'；
+ * 新的動畫或 setPerspective() 會取代進行中的動畫。
+ * @param {Object} to 目標狀態（getPerspectiveState() 的結果）
+ * @param {Object} [options]
+ * @param {Object} [options.from] 起始狀態，預設為目前的狀態
+ * @param {number} [options.duration] 動畫時間（毫秒）
+ * @param {string|Function} [options.easing] fabric.util.ease 中的名稱或 easing 函式
+ * @param {function(number): void} [options.onChange] 每一格的回呼函式，參數為補間的進度
+ * @param {function(): void} [options.onComplete] 完成時的回呼函式（被取代時不會呼叫）
+ * @return {boolean} 是否開始動畫，尚未建立透視濾鏡時為 false
+ */
+fabric.Photo.prototype.animatePerspective = function (to, options = {}) {
+  const from = options.from || this.getPerspectiveState();
+  if (!from || !this.getPerspectiveFilter()) return false;
+
+  const { duration = DEFAULT_DURATION, onChange, onComplete } = options;
+
+  // 最後一格直接套用目標狀態（包含無法補間的網格與切線控制點）
+  this._transitionPerspective(
+    (t, draft) =>
+      applyState(this, t === 1 ? to : interpolateState(from, to, t), draft),
+    { duration, easing: getEasing(options.easing), onChange, onComplete }
+  );
+
+  return true;
+};
+
+/**
+ * @description 將 from 到 to 的動畫匯出為圖片序列，每一格都以完整的網格密度繪製
+ * 照片在畫布上時匯出整個畫布（其他物件一併入鏡），否則只匯出照片；完成後回復為匯出前的狀態。
+ * @param {Object} to 目標狀態（getPerspectiveState() 的結果）
+ * @param {Object} [options] 匯出選項（詳見 export.js），以及：
+ * @param {Object} [options.from] 起始狀態，預設為目前的狀態
+ * @param {number} [options.frames] 影格數（包含第一格與最後一格），至少為 2
+ * @param {string|Function} [options.easing] fabric.util.ease 中的名稱或 easing 函式
+ * @param {function((string|Blob)[], boolean): void} callback
+ * 完成後的回呼函式，第一個參數為依序排列的 data URL 或 Blob，第二個參數表示是否編碼失敗
+ */
+fabric.Photo.prototype.exportPerspectiveFrames = function (
+  to,
+  options = {},
+  callback
+) {
+  const initial = this.getPerspectiveState();
+  const from = options.from || initial;
+  if (!from || !this.getPerspectiveFilter()) {
+    callback([], true);
+    return;
+  }
+
+  const frames = Math.max(2, options.frames || DEFAULT_FRAMES);
+  const easing = getEasing(options.easing);
+  const results = [];
+  const render = () =>
+    this.canvas
+      ? this.canvas.toExportCanvas(options)
+      : this.toExportCanvas(options);
+  const finish = (isError) => {
+    applyState(this, initial, false);
+    callback(results, isError);
+  };
+
+  // 停止進行中的動畫，避免與匯出的影格互相覆寫
+  this._perspectiveAnimation = null;
+
+  // 第一格與最後一格直接套用起點與終點的狀態（包含無法補間的網格與切線控制點）
+  const stateAt = (index) => {
+    if (index === 0) return from;
+    if (index === frames - 1) return to;
+
+    return interpolateState(from, to, easing(index / (frames - 1), 0, 1, 1));
+  };
+
+  const next = (index) => {
+    if (index >= frames) return finish(false);
+
+    applyState(this, stateAt(index), false);
+
+    encodeCanvas(render(), options, (data, isError) => {
+      if (isError) return finish(true);
+
+      results.push(data);
+      next(index + 1);
+    });
+  };
+
+  next(0);
+};
@@ -0,0 +1,143 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import {
+  applySwatch,
+  assertOutputFormat,
+  getSwatchTargets,
+  isImageFile,
+  loadDesign,
+  resolveImage,
+  resolveImages,
+  writeImage,
+} from './headless';
+
+/**
+ * 批次產生商品示意圖的命令列工具
+ *
+ * 以 Vite 打包成 Node 程式後執行（見 package.json 的 render 指令）：
+ *   pnpm render -- --template design.json --out mockups swatches/*.jpg
+ *
+ * 每個樣本（或資料夾中的每張圖片）輸出一張 <樣本檔名>.<format>。
+ */
+
+const USAGE = `Usage: pnpm render -- --template <design.json> [options] <swatch...>
+
+Options:
+  -t, --template <file>    設計檔（canvas.toJSON() 的結果）
+  -o, --out <dir>          輸出資料夾（預設為 ./mockups）
+  -a, --assets <dir>       網站圖片網址對應的本機資料夾（預設為設計檔所在的資料夾）
+      --target <indices>   要套用樣本的照片索引，以逗號分隔（預設為設計中已有樣本的照片）
+      --width <px>         畫布寬度（預設為涵蓋所有物件的範圍）
+      --height <px>        畫布高度
+      --multiplier <n>     輸出倍率（預設為 1）
+      --dpi <n>            輸出解析度，以 96 DPI 為 1 倍
+      --format <format>    png（預設）或 jpeg（node-canvas 無法編碼 webp）
+      --quality <0..1>     JPEG 的品質
+      --transparent        輸出透明背景
+      --trim               裁掉四周透明的區域
+  -h, --help               顯示說明
+`;
+
+/**
+ * 將樣本參數展開為圖片檔列表，資料夾會展開為其中的圖片（依檔名排序）
+ * @param {string[]} inputs
+ * @return {string[]}
+ */
+function expandSwatches(inputs) {
+  return inputs.flatMap((input) => {
+    if (!fs.statSync(input).isDirectory()) return [input];
+
+    return fs
+      .readdirSync(input)
+      .filter(isImageFile)
+      .sort()
+      .map((file) => path.join(input, file));
+  });
+}
+
+/**
+ * 將數字參數轉為 number，未指定時回傳 undefined
+ * @param {string} [value]
+ * @return {number|undefined}
+ */
+function toNumber(value) {
+  return value === undefined ? undefined : Number(value);
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      template: { type: 'string', short: 't' },
+      out: { type: 'string', short: 'o', default: 'mockups' },
+      assets: { type: 'string', short: 'a' },
+      target: { type: 'string' },
+      width: { type: 'string' },
+      height: { type: 'string' },
+      multiplier: { type: 'string' },
+      dpi: { type: 'string' },
+      format: { type: 'string', default: 'png' },
+      quality: { type: 'string' },
+      transparent: { type: 'boolean', default: false },
+      trim: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+
+  if (values.help || !values.template || !positionals.length) {
+    process.stdout.write(USAGE);
+    process.exitCode = values.help ? 0 : 1;
+    return;
+  }
+
+  // 先確認輸出格式，避免載入設計後才失敗
+  assertOutputFormat(values.format);
+
+  const baseDir = path.dirname(path.resolve(values.template));
+  const resolveOptions = {
+    baseDir,
+    assetsDir: values.assets ? path.resolve(values.assets) : baseDir,
+  };
+  const design = resolveImages(
+    JSON.parse(fs.readFileSync(values.template, 'utf8')),
+    resolveOptions
+  );
+
+  const canvas = await loadDesign(design, {
+    width: toNumber(values.width),
+    height: toNumber(values.height),
+  });
+  const targets = getSwatchTargets(
+    canvas,
+    values.target && values.target.split(',').map(Number)
+  );
+  const exportOptions = {
+    format: values.format,
+    quality: toNumber(values.quality),
+    multiplier: toNumber(values.multiplier),
+    dpi: toNumber(values.dpi),
+    trim: values.trim,
+    ...(values.transparent ? { backgroundColor: null } : {}),
+  };
+  const extension = values.format === 'jpeg' ? 'jpg' : values.format;
+
+  for (const swatch of expandSwatches(positionals)) {
+    const file = path.join(
+      values.out,
+      `${path.basename(swatch, path.extname(swatch))}.${extension}`
+    );
+
+    await applySwatch(
+      targets,
+      resolveImage(path.resolve(swatch), resolveOptions)
+    );
+    await writeImage(canvas, file, exportOptions);
+    process.stdout.write(`${file}\n`);
+  }
+}
+
+main().catch((error) => {
+  process.stderr.write(`${error.stack || error}\n`);
+  process.exitCode = 1;
+});
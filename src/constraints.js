@@ -0,0 +1,291 @@
+import { cross } from './homography';
+
+/**
+ * 透視角點的幾何限制 (Corner constraints)
+ *
+ * 四個角點依序為左上、右上、右下、左下（與 perspectiveCoords 相同），座標為 y 軸向下的物件座標。
+ * 合法的四邊形必須是凸的，且頂點維持順時針方向（沒有翻轉），否則 byCorners 會產生交錯的三角形。
+ *
+ * 限制模式：
+ * - 'rectangle'：維持與座標軸對齊的矩形，拖曳的角點與對角之間的兩個角點跟著移動
+ * - 'parallelogram'：維持平行四邊形，相鄰兩個角點不動，對角跟著移動
+ * - 'trapezoid'：維持左右對稱的梯形，同一條水平邊上的另一個角點以對稱軸鏡像移動
+ * - 'aspect'：上下兩邊的平均長度與左右兩邊的平均長度維持來源圖片的長寬比
+ * - 'plane'：對齊透視平面，對角不動，相鄰兩個角點跟著移動，讓四邊都通過平面的兩個消失點
+ */
+
+// 合法四邊形每個內角與 0° 或 180° 的最小差距（以 sin 表示，約 1°），避免退化成三角形或線段
+const MIN_ANGLE_SIN = Math.sin(Math.PI / 180);
+// 'aspect' 模式在限制曲線上搜尋最近的點時，取樣的方向數
+const ASPECT_SAMPLES = 180;
+
+/**
+ * 支援的限制模式
+ * @type {string[]}
+ */
+export const CORNER_CONSTRAINTS = [
+  'rectangle',
+  'parallelogram',
+  'trapezoid',
+  'aspect',
+  'plane',
+];
+
+/**
+ * 取得與角點共用水平邊與垂直邊的角點，以及對角
+ * @param {number} index 角點索引
+ * @return {{ horizontal: number, vertical: number, opposite: number }}
+ */
+function getNeighbours(index) {
+  return {
+    horizontal: index ^ 1,
+    vertical: 3 - index,
+    opposite: (index + 2) % 4,
+  };
+}
+
+function distance(a, b) {
+  return Math.hypot(a[0] - b[0], a[1] - b[1]);
+}
+
+/**
+ * 四邊形是否為凸的且維持順時針方向（沒有自我交錯、凹陷、翻轉或退化）
+ * @param {number[][]} corners 四個角點
+ * @return {boolean}
+ */
+export function isValidQuad(corners) {
+  return corners.every((corner, index) => {
+    const next = corners[(index + 1) % 4];
+    const after = corners[(index + 2) % 4];
+    const area =
+      (next[0] - corner[0]) * (after[1] - next[1]) -
+      (next[1] - corner[1]) * (after[0] - next[0]);
+    const lengths = distance(corner, next) * distance(next, after);
+
+    return lengths > 0 && area / lengths > MIN_ANGLE_SIN;
+  });
+}
+
+/**
+ * 依限制模式，計算將某個角點拖曳到 point 之後的四個角點
+ * @param {string|null} mode 限制模式，為 null 時只移動該角點
+ * @param {number[][]} corners 目前的四個角點（不會修改）
+ * @param {number} index 拖曳的角點索引
+ * @param {number[]} point 拖曳到的位置 [x, y]
+ * @param {Object} [options]
+ * @param {number} [options.aspectRatio] 'aspect' 模式的長寬比（寬 / 高）
+ * @param {{ horizontal: number[], vertical: number[] }} [options.vanishingPoints]
+ * 'plane' 模式的兩個消失點（齊次座標，見 homography.js 的 getVanishingPoints()）
+ * @return {number[][]} 新的四個角點
+ */
+export function constrainCorner(mode, corners, index, point, options = {}) {
+  const next = corners.map((corner) => corner.slice(0, 2));
+  const { horizontal, vertical, opposite } = getNeighbours(index);
+  const [x, y] = point;
+
+  next[index] = [x, y];
+
+  switch (mode) {
+    case 'rectangle':
+      next[horizontal][1] = y;
+      next[vertical][0] = x;
+      break;
+    case 'parallelogram':
+      next[opposite] = [
+        next[horizontal][0] + next[vertical][0] - x,
+        next[horizontal][1] + next[vertical][1] - y,
+      ];
+      break;
+    case 'trapezoid': {
+      // 對稱軸為上下兩邊共同的中點
+      const axis = (corners[horizontal][0] + corners[index][0]) / 2;
+      next[horizontal] = [2 * axis - x, y];
+      break;
+    }
+    case 'aspect':
+      next[index] =
+        solveAspect(next, index, options.aspectRatio || 1) ||
+        corners[index].slice(0, 2);
+      break;
+    case 'plane': {
+      const { horizontal: hvp, vertical: vvp } = options.vanishingPoints;
+      const p = [x, y, 1];
+      const o = [...corners[opposite].slice(0, 2), 1];
+
+      // 水平邊通過水平消失點、垂直邊通過垂直消失點
+      next[horizontal] = toPoint(cross(cross(p, hvp), cross(o, vvp)));
+      next[vertical] = toPoint(cross(cross(p, vvp), cross(o, hvp)));
+      break;
+    }
+    default:
+      break;
+  }
+
+  return next;
+}
+
+/**
+ * 將齊次座標的點轉為 [x, y]，無窮遠的點會得到非有限值（不會通過 isValidQuad）
+ * @param {number[]} point [x, y, w]
+ * @return {number[]}
+ */
+function toPoint([x, y, w]) {
+  return [x / w, y / w];
+}
+
+/**
+ * 將角點投影到限制曲線上最接近的點，使平均寬度 / 平均高度等於 ratio
+ * 曲線上的點 P 滿足 |P - h| + fixedWidth = ratio * (|P - v| + fixedHeight)（h、v 為相鄰的兩個角點），
+ * 沿著以 h 為起點的每個方向，P 與 h 的距離是二次方程式的根；
+ * 先以 ASPECT_SAMPLES 個方向取樣找出最近的點，再以黃金分割搜尋細修方向。
+ * @param {number[][]} corners 四個角點，index 的位置為拖曳到的位置
+ * @param {number} index 要調整的角點索引
+ * @param {number} ratio 長寬比（寬 / 高）
+ * @return {number[]|null} 調整後的角點，長寬比無法達成時為 null
+ */
+function solveAspect(corners, index, ratio) {
+  const { horizontal, vertical, opposite } = getNeighbours(index);
+  const fixedWidth = distance(corners[vertical], corners[opposite]);
+  const fixedHeight = distance(corners[horizontal], corners[opposite]);
+  const h = corners[horizontal];
+  const v = corners[vertical];
+  const target = corners[index];
+  // |P - v| = (s - c) / ratio，s 為 |P - h|
+  const c = ratio * fixedHeight - fixedWidth;
+  const d = [h[0] - v[0], h[1] - v[1]];
+
+  // 方向 angle 上最接近目標的曲線上的點
+  const pointAt = (angle) => {
+    const u = [Math.cos(angle), Math.sin(angle)];
+    const du = d[0] * u[0] + d[1] * u[1];
+    const a = ratio * ratio - 1;
+    const b = 2 * (ratio * ratio * du + c);
+    const e = ratio * ratio * (d[0] * d[0] + d[1] * d[1]) - c * c;
+    let roots;
+
+    if (Math.abs(a) < 1e-9) {
+      roots = Math.abs(b) < 1e-12 ? [] : [-e / b];
+    } else {
+      const discriminant = b * b - 4 * a * e;
+      if (discriminant < 0) return null;
+      const sqrt = Math.sqrt(discriminant);
+      roots = [(-b - sqrt) / (2 * a), (-b + sqrt) / (2 * a)];
+    }
+
+    return roots
+      .filter((s) => s >= 0 && s >= c && Number.isFinite(s))
+      .map((s) => [h[0] + s * u[0], h[1] + s * u[1]])
+      .reduce(
+        (best, point) =>
+          !best || distance(point, target) < distance(best, target)
+            ? point
+            : best,
+        null
+      );
+  };
+  const cost = (angle) => {
+    const point = pointAt(angle);
+    return point ? distance(point, target) : Infinity;
+  };
+
+  const step = (2 * Math.PI) / ASPECT_SAMPLES;
+  let best = 0;
+  for (let i = 1; i < ASPECT_SAMPLES; i++) {
+    cost(i * step) < cost(best) && (best = i * step);
+  }
+  if (cost(best) === Infinity) return null;
+
+  // 在最近的取樣方向兩側以黃金分割搜尋
+  const ratioGolden = (Math.sqrt(5) - 1) / 2;
+  let low = best - step;
+  let high = best + step;
+  for (let i = 0; i < 40; i++) {
+    const m1 = high - (high - low) * ratioGolden;
+    const m2 = low + (high - low) * ratioGolden;
+    cost(m1) < cost(m2) ? (high = m2) : (low = m1);
+  }
+
+  const angle = (low + high) / 2;
+  return cost(angle) <= cost(best) ? pointAt(angle) : pointAt(best);
+}
+
+/**
+ * 將任意四邊形調整為符合限制模式的形狀，用於切換限制模式時
+ * @param {string|null} mode 限制模式
+ * @param {number[][]} corners 目前的四個角點（不會修改）
+ * @param {Object} [options] 同 constrainCorner()
+ * @return {number[][]} 新的四個角點
+ */
+export function snapCorners(mode, corners, options = {}) {
+  const xs = corners.map((corner) => corner[0]);
+  const ys = corners.map((corner) => corner[1]);
+
+  switch (mode) {
+    case 'rectangle': {
+      const [minX, maxX] = [Math.min(...xs), Math.max(...xs)];
+      const [minY, maxY] = [Math.min(...ys), Math.max(...ys)];
+
+      return [
+        [minX, minY],
+        [maxX, minY],
+        [maxX, maxY],
+        [minX, maxY],
+      ];
+    }
+    case 'trapezoid': {
+      const axis = xs.reduce((sum, x) => sum + x, 0) / 4;
+      const top = (ys[0] + ys[1]) / 2;
+      const bottom = (ys[2] + ys[3]) / 2;
+      const topHalf = Math.abs(xs[1] - xs[0]) / 2;
+      const bottomHalf = Math.abs(xs[2] - xs[3]) / 2;
+
+      return [
+        [axis - topHalf, top],
+        [axis + topHalf, top],
+        [axis + bottomHalf, bottom],
+        [axis - bottomHalf, bottom],
+      ];
+    }
+    case 'parallelogram':
+    case 'aspect':
+    case 'plane':
+      // 以右下角目前的位置重新套用限制
+      return constrainCorner(mode, corners, 2, corners[2], options);
+    default:
+      return corners.map((corner) => corner.slice(0, 2));
+  }
+}
+
+/**
+ * 拖曳角點：套用限制模式，並確保結果是合法的四邊形
+ * 結果不合法時，沿著拖曳方向退回到最後一個合法的位置（夾住），
+ * 完全無法移動時回傳 null。原本就不合法的四邊形（例如舊資料）不做檢查，讓使用者可以修正。
+ * @param {string|null} mode 限制模式
+ * @param {number[][]} corners 目前的四個角點（不會修改）
+ * @param {number} index 拖曳的角點索引
+ * @param {number[]} point 拖曳到的位置 [x, y]
+ * @param {Object} [options] 同 constrainCorner()
+ * @return {number[][]|null} 新的四個角點
+ */
+export function moveCorner(mode, corners, index, point, options = {}) {
+  const apply = (target) =>
+    constrainCorner(mode, corners, index, target, options);
+  const next = apply(point);
+
+  if (isValidQuad(next) || !isValidQuad(corners)) return next;
+
+  const start = corners[index];
+  const lerp = (t) => [
+    start[0] + (point[0] - start[0]) * t,
+    start[1] + (point[1] - start[1]) * t,
+  ];
+  let low = 0;
+  let high = 1;
+
+  for (let i = 0; i < 16; i++) {
+    const mid = (low + high) / 2;
+    isValidQuad(apply(lerp(mid))) ? (low = mid) : (high = mid);
+  }
+
+  return low > 0 ? apply(lerp(low)) : null;
+}
@@ -0,0 +1,46 @@
+/**
+ * 透視座標的共用工具
+ *
+ * perspectiveCoords、meshCoords、edgeHandles 皆為巢狀的 [x, y] 陣列，
+ * 並且會被 fabric.Photo 與 Perspective 濾鏡共用同一個參照（拖曳時直接修改陣列內容）。
+ */
+
+/**
+ * 透視資料序列化格式的版本
+ * 每次改變儲存格式時遞增，並在 fabric.Photo.migrate() 中加入對應的轉換。
+ * @type {number}
+ */
+export const PERSPECTIVE_VERSION = 2;
+
+/**
+ * 深層複製座標陣列，避免序列化結果與物件共用參照
+ * @param {Array|null|undefined} coords 任意層級的座標陣列
+ * @return {Array|null|undefined}
+ */
+export function cloneCoords(coords) {
+  return Array.isArray(coords) ? coords.map(cloneCoords) : coords;
+}
+
+/**
+ * 以射線法判斷點是否位於多邊形內
+ * @param {{x: number, y: number}} point 要判斷的點
+ * @param {{x: number, y: number}[]} polygon 多邊形頂點（依序相連，最後一點連回第一點）
+ * @return {boolean}
+ */
+export function isPointInPolygon(point, polygon) {
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+
+    if (
+      a.y > point.y !== b.y > point.y &&
+      point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x
+    ) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
@@ -0,0 +1,257 @@
+import { fabric } from 'fabric';
+
+/**
+ * 匯出 (Export) 工具
+ *
+ * 以不受畫布縮放、平移與裝置像素比率影響的解析度輸出 PNG、JPEG 或 WebP。
+ * fabric.Photo#exportImage 匯出單張扭曲後的照片，fabric.StaticCanvas#exportImage 匯出整個畫布，
+ * 兩者共用以下的選項：
+ * - multiplier：每單位畫布座標（縮放 100% 時的 1px）輸出的像素數
+ * - dpi：以 96 DPI 為 1 倍換算的輸出解析度，例如 300 DPI 約為 3.125 倍
+ * - width / height：輸出的寬高（像素），只指定其中一個時依比例計算另一個
+ * - backgroundColor：背景色，為 null 時輸出透明背景（JPEG 不支援透明，會以白色填滿）
+ * - trim：是否裁掉四周完全透明的區域，只保留內容的緊密範圍
+ * - format：'png'（預設）、'jpeg' 或 'webp'，瀏覽器不支援 WebP 編碼時會輸出 PNG
+ * - quality：JPEG 與 WebP 的品質（0..1）
+ * - output：'dataURL'（預設）或 'blob'
+ */
+
+// 1 倍輸出所對應的 DPI（CSS 像素）
+const CSS_DPI = 96;
+
+const MIME_TYPES = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  jpg: 'image/jpeg',
+  webp: 'image/webp',
+};
+
+/**
+ * 依匯出選項計算每單位畫布座標對應的輸出像素數
+ * 優先順序為 multiplier、dpi、width/height，皆未指定時使用 nativeScale。
+ * @param {Object} options 匯出選項
+ * @param {{ width: number, height: number }} size 輸出範圍的尺寸（畫布座標）
+ * @param {number} [nativeScale] 預設的倍率
+ * @return {number}
+ */
+export function getExportScale(
+  { multiplier, dpi, width, height } = {},
+  size,
+  nativeScale = 1
+) {
+  if (multiplier) return multiplier;
+  if (dpi) return dpi / CSS_DPI;
+
+  if (width || height) {
+    return Math.min(
+      width ? width / size.width : Infinity,
+      height ? height / size.height : Infinity
+    );
+  }
+
+  return nativeScale;
+}
+
+/**
+ * 在解除 fabric 物件快取尺寸上限的情況下執行 fn
+ * 物件快取預設最多 2MP（每邊 4096px），高解析度匯出時會被縮小而變得模糊。
+ * @param {function(): *} fn
+ * @return {*} fn 的回傳值
+ */
+export function withoutCacheLimits(fn) {
+  const { perfLimitSizeTotal, maxCacheSideLimit } = fabric;
+  fabric.perfLimitSizeTotal = Infinity;
+  fabric.maxCacheSideLimit = Infinity;
+
+  try {
+    return fn();
+  } finally {
+    fabric.perfLimitSizeTotal = perfLimitSizeTotal;
+    fabric.maxCacheSideLimit = maxCacheSideLimit;
+  }
+}
+
+/**
+ * 取得 canvas 中不透明內容的緊密範圍
+ * @param {HTMLCanvasElement} canvasEl
+ * @return {{ left: number, top: number, width: number, height: number }|null}
+ * 內容的範圍（像素），完全透明時回傳 null
+ */
+export function getContentBounds(canvasEl) {
+  const { width, height } = canvasEl;
+  const data = canvasEl.getContext('2d').getImageData(0, 0, width, height).data;
+  let minX = width;
+  let minY = height;
+  let maxX = -1;
+  let maxY = -1;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!data[(y * width + x) * 4 + 3]) continue;
+
+      x < minX && (minX = x);
+      x > maxX && (maxX = x);
+      minY === height && (minY = y);
+      maxY = y;
+    }
+  }
+
+  if (maxX < 0) return null;
+
+  return {
+    left: minX,
+    top: minY,
+    width: maxX - minX + 1,
+    height: maxY - minY + 1,
+  };
+}
+
+/**
+ * 取得物件中（包含 fabric.Group 中的物件）所有的群組
+ * @param {fabric.Object[]} objects
+ * @return {fabric.Group[]}
+ */
+function getGroups(objects) {
+  return objects
+    .filter((object) => object instanceof fabric.Group)
+    .reduce(
+      (groups, group) => groups.concat(group, getGroups(group.getObjects())),
+      []
+    );
+}
+
+/**
+ * 取得物件中（包含 fabric.Group 中的物件）所有需要依輸出倍率重新套用濾鏡的照片
+ * 透視群組（fabric.PerspectiveGroup）本身就是照片，其中的物件已繪製成群組的貼圖，不會另外繪製。
+ * @param {fabric.Object[]} objects
+ * @return {fabric.Photo[]}
+ */
+function getExportPhotos(objects) {
+  return objects.reduce((photos, object) => {
+    if (object._setExportScale) return photos.concat(object);
+    if (object instanceof fabric.Group)
+      return photos.concat(getExportPhotos(object.getObjects()));
+    return photos;
+  }, []);
+}
+
+/**
+ * 依匯出選項完成輸出圖片：裁掉透明的邊緣，並在內容後方填入背景色
+ * @param {HTMLCanvasElement} canvasEl 已繪製內容的 canvas
+ * @param {Object} options 匯出選項（trim、backgroundColor、format）
+ * @return {HTMLCanvasElement}
+ */
+export function finishExportCanvas(
+  canvasEl,
+  { trim = false, backgroundColor = null, format = 'png' } = {}
+) {
+  let result = canvasEl;
+  const bounds = trim && getContentBounds(canvasEl);
+
+  if (bounds) {
+    result = fabric.util.createCanvasElement();
+    result.width = bounds.width;
+    result.height = bounds.height;
+    result
+      .getContext('2d')
+      .drawImage(
+        canvasEl,
+        bounds.left,
+        bounds.top,
+        bounds.width,
+        bounds.height,
+        0,
+        0,
+        bounds.width,
+        bounds.height
+      );
+  }
+
+  // JPEG 不支援透明，未指定背景色時以白色填滿
+  const background =
+    backgroundColor || (MIME_TYPES[format] === 'image/jpeg' ? 'white' : null);
+
+  if (background) {
+    const ctx = result.getContext('2d');
+    ctx.save();
+    ctx.globalCompositeOperation = 'destination-over';
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, result.width, result.height);
+    ctx.restore();
+  }
+
+  return result;
+}
+
+/**
+ * 將 canvas 編碼為圖片
+ * @param {HTMLCanvasElement} canvasEl
+ * @param {Object} options 匯出選項（format、quality、output）
+ * @param {function((string|Blob|null), boolean): void} callback
+ * 編碼完成後的回呼函式，第一個參數為 data URL 或 Blob，第二個參數表示是否編碼失敗
+ */
+export function encodeCanvas(
+  canvasEl,
+  { format = 'png', quality = 0.92, output = 'dataURL' } = {},
+  callback
+) {
+  const type = MIME_TYPES[format] || MIME_TYPES.png;
+
+  if (output === 'blob') {
+    canvasEl.toBlob((blob) => callback(blob, !blob), type, quality);
+    return;
+  }
+
+  callback(canvasEl.toDataURL(type, quality), false);
+}
+
+/**
+ * 以不受畫布縮放、平移與裝置像素比率影響的解析度繪製整個畫布
+ * 輸出範圍為縮放 100% 時的畫布範圍，未指定尺寸時以 1 倍輸出。
+ * 指定 backgroundColor（包含 null）時會取代畫布本身的背景色。
+ * @param {Object} [options] 匯出選項
+ * @return {HTMLCanvasElement}
+ */
+fabric.StaticCanvas.prototype.toExportCanvas = function (options = {}) {
+  const scale = getExportScale(options, {
+    width: this.width,
+    height: this.height,
+  });
+  const zoom = this.getZoom();
+  const vpt = this.viewportTransform;
+  const backgroundColor = this.backgroundColor;
+  // 照片（包含群組中的照片）的透視濾鏡需要依輸出的倍率重新套用
+  const photos = getExportPhotos(this.getObjects());
+  const groups = getGroups(this.getObjects());
+
+  'backgroundColor' in options && (this.backgroundColor = '');
+  photos.forEach((photo) => photo._setExportScale(scale));
+  // 群組的快取仍是舊的解析度，重新繪製群組
+  groups.forEach((group) => (group.dirty = true));
+
+  // toCanvasElement 會沿用目前的縮放與平移，這裡將兩者抵銷，輸出場景座標 (0, 0) 起的範圍
+  const canvasEl = withoutCacheLimits(() =>
+    this.toCanvasElement(scale / zoom, {
+      left: vpt[4],
+      top: vpt[5],
+      width: this.width * zoom,
+      height: this.height * zoom,
+    })
+  );
+
+  photos.forEach((photo) => photo._setExportScale(null));
+  groups.forEach((group) => (group.dirty = true));
+  this.backgroundColor = backgroundColor;
+
+  return finishExportCanvas(canvasEl, options);
+};
+
+/**
+ * 將整個畫布匯出為 PNG、JPEG 或 WebP
+ * @param {Object} [options] 匯出選項
+ * @param {function((string|Blob|null), boolean): void} callback
+ * 匯出完成後的回呼函式，第一個參數為 data URL 或 Blob，第二個參數表示是否編碼失敗
+ */
+fabric.StaticCanvas.prototype.exportImage = function (options = {}, callback) {
+  encodeCanvas(this.toExportCanvas(options), options, callback);
+};
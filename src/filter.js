@@ -1,6 +1,21 @@
 import { fabric } from 'fabric';
 import flatten from 'lodash.flatten';
 import verb from 'verb-nurbs-web';
+import { invert, squareToQuad, transformPoint } from './homography';
+import {
+  MAX_UINT16_VERTICES,
+  createCoonsMeshCoords,
+  createMeshIndices,
+  createMeshSurface,
+  getMeshCorners,
+  interpolateMesh,
+} from './mesh';
+import { PERSPECTIVE_VERSION, cloneCoords } from './coords';
+import { SHADING_MODES, blendShading } from './shading';
+
+// 額外圖片（樣本、光影圖）的紋理在 filterBackend 中依網址共用，
+// 記錄每個快取鍵值正在使用的濾鏡，最後一個濾鏡釋放時才移除紋理
+const textureUsers = new Map();
 
 /**
  * fabric.Image.filters.Perspective 濾鏡
@@ -11,6 +26,10 @@ import verb from 'verb-nurbs-web';
  *
  * 使用時機：
  * 當需要在 fabric.Canvas 中顯示一個可自訂四點的圖片，使其呈現出仿 3D 的透視變形效果。
+ *
+ * 座標單位：
+ * perspectiveCoords、meshCoords、edgeHandles 皆以「圖片像素」（來源圖片的像素）為單位，
+ * 與裝置像素比率無關；只有在繪製時才依 pixelRatio 換算為裝置像素。
  */
 fabric.Image.filters.Perspective = class extends (
   fabric.Image.filters.BaseFilter
@@ -23,38 +42,70 @@ fabric.Image.filters.Perspective = class extends (
     super();
 
     if (options) this.setOptions(options);
-
-    // 根據目前裝置像素比率對座標進行轉換
-    this.applyPixelRatio();
   }
 
   // 濾鏡類型的名稱
   type = 'Perspective';
-  // pixelRatio 用於高解析度（retina）顯示的比例調整
-  pixelRatio = fabric.devicePixelRatio;
+  // pixelRatio 用於高解析度（retina）顯示的比例調整，只在繪製時將座標換算為裝置像素；
+  // 為 null 時使用繪製當下的 fabric.devicePixelRatio
+  pixelRatio = null;
   // bounds 用於記錄透視後的邊界資訊
   bounds = { width: 0, height: 0, minX: 0, maxX: 0, minY: 0, maxY: 0 };
   // 是否使用相對座標（若為 true，會根據計算後的最小 x, y 做平移）
   hasRelativeCoordinates = true;
+  // 扭曲模式：'bilinear' 為 NURBS 雙線性曲面，'projective' 為真實的平面透視（單應性矩陣），
+  // 'mesh' 為以 meshCoords 網格控制點建立的 NURBS 曲面
+  warpMode = 'bilinear';
+  // mesh 模式下的網格控制點 [row][col] = [x, y]
+  meshCoords = null;
+  // bilinear 模式下每條邊的兩個切線控制點 [edge][0|1] = [x, y]，為 null 時四邊皆為直線
+  edgeHandles = null;
+  // 網格化時 U、V 方向的最少分割數（實際數量不會低於 verb 依曲面次數決定的下限）
+  divisions = 16;
+  // 草稿模式（例如拖曳控制點時）使用的分割數，以較粗的網格換取即時的反應速度
+  draftDivisions = 4;
+  // 是否以草稿密度繪製，由 fabric.Photo 在拖曳期間切換，不會被序列化
+  draft = false;
+  // 布料樣本（swatch）圖片的網址，設定後會以重複拼貼的樣本取代原圖的顏色，
+  // 並保留原圖的透明度作為遮罩（例如去背的沙發）
+  swatchSrc = null;
+  // 已載入的樣本圖片，由 setSwatch() 設定，不會被序列化
+  swatchElement = null;
+  // 拼貼的縮放比例：1 表示每片樣本在來源圖片上佔樣本本身的像素大小
+  swatchScale = 1;
+  // 拼貼的旋轉角度（度）
+  swatchAngle = 0;
+  // 拼貼在來源圖片上的位移（圖片像素）
+  swatchOffsetX = 0;
+  swatchOffsetY = 0;
+  // 拼貼樣本時保留原圖光影的混合模式：null（不混合）、'multiply'、'overlay' 或 'soft-light'
+  shadingMode = null;
+  // 光影混合的強度（0..1），0 為純樣本顏色
+  shadingStrength = 1;
+  // 自訂光影圖的網址（與來源圖片對齊的灰階圖），為 null 時使用原圖本身的亮度
+  shadingMapSrc = null;
+  // 已載入的光影圖，由 setShadingMap() 設定，不會被序列化
+  shadingMapElement = null;
 
   /**
    * Shader 程式中頂點著色器 (vertex shader) 原始碼
    * aPosition：頂點位置
-   * aUvs：紋理座標 (UV mapping)
+   * aUvs：齊次紋理座標 (u * q, v * q, q)
    *
    * 在此會將輸入的座標值轉換為映射到 WebGL clip space (-1, 1) 的值，
    * 並將 UV 座標傳遞至 fragment shader。
+   * 雙線性模式下 q 固定為 1；projective 模式下 q 讓內插結果符合透視投影。
    */
   vertexSource = `
         precision mediump float;
 
         attribute vec2 aPosition;
-        attribute vec2 aUvs;
+        attribute vec3 aUvs;
 
         uniform float uStepW;
         uniform float uStepH;
 
-        varying vec2 vUvs;
+        varying vec3 vUvs;
 
         vec2 uResolution;
 
@@ -68,21 +119,110 @@ fabric.Image.filters.Perspective = class extends (
 
   /**
    * Shader 程式中片段著色器 (fragment shader) 原始碼
-   * vUvs：從頂點著色器傳來的 UV 座標
+   * vUvs：從頂點著色器傳來的齊次 UV 座標
    * uSampler：紋理取樣器
    *
-   * 這裡會使用 texture2D 以 UV 座標對原始圖片進行取樣，並輸出顏色值。
+   * 這裡會先以 q 還原 UV 座標，再使用 texture2D 對原始圖片進行取樣，並輸出顏色值。
    */
   fragmentSource = `
         precision mediump float;
-        varying vec2 vUvs;
+        varying vec3 vUvs;
         uniform sampler2D uSampler;
 
         void main() {
-            gl_FragColor = texture2D(uSampler, vUvs);
+            gl_FragColor = texture2D(uSampler, vUvs.xy / vUvs.z);
         }
     `;
 
+  /**
+   * 拼貼樣本時使用的片段著色器
+   * uSwatchMatrix：將 UV 轉為拼貼座標（每片樣本為 0..1）的矩陣
+   * uSwatch：樣本的紋理取樣器
+   * uShadingMode：光影混合模式（0 不混合、1 multiply、2 overlay、3 soft-light）
+   * uShadingMap / uHasShadingMap：自訂光影圖，未提供時使用原圖的亮度
+   * uShadingStrength：光影混合的強度
+   *
+   * 以 fract() 手動重複拼貼座標，因此樣本不需要是 2 的次方尺寸；
+   * 拼貼座標在曲面（UV）空間中計算，圖案會跟著扭曲一起呈現透視縮短。
+   * 混合公式與 W3C Compositing 規範相同，樣本為底色、亮度為混合色，
+   * 與 Canvas2D 備援路徑的 blendShading() 一致。
+   */
+  swatchFragmentSource = `
+        precision mediump float;
+        varying vec3 vUvs;
+        uniform sampler2D uSampler;
+        uniform sampler2D uSwatch;
+        uniform sampler2D uShadingMap;
+        uniform mat3 uSwatchMatrix;
+        uniform int uShadingMode;
+        uniform int uHasShadingMap;
+        uniform float uShadingStrength;
+
+        float luminance(vec3 color) {
+            return dot(color, vec3(0.299, 0.587, 0.114));
+        }
+
+        vec3 overlay(vec3 base, float light) {
+            return mix(
+                1.0 - 2.0 * (1.0 - base) * (1.0 - light),
+                2.0 * base * light,
+                step(base, vec3(0.5))
+            );
+        }
+
+        vec3 softLight(vec3 base, float light) {
+            vec3 d = mix(
+                sqrt(base),
+                ((16.0 * base - 12.0) * base + 4.0) * base,
+                step(base, vec3(0.25))
+            );
+
+            return light <= 0.5
+                ? base - (1.0 - 2.0 * light) * base * (1.0 - base)
+                : base + (2.0 * light - 1.0) * (d - base);
+        }
+
+        void main() {
+            vec2 uv = vUvs.xy / vUvs.z;
+            vec4 color = texture2D(uSampler, uv);
+            vec2 tile = fract((uSwatchMatrix * vec3(uv, 1.0)).xy);
+            vec4 swatch = texture2D(uSwatch, tile);
+            vec3 rgb = swatch.rgb;
+
+            if (uShadingMode > 0) {
+                float light = luminance(
+                    uHasShadingMap == 1 ? texture2D(uShadingMap, uv).rgb : color.rgb
+                );
+                vec3 shaded = uShadingMode == 1
+                    ? rgb * light
+                    : uShadingMode == 2 ? overlay(rgb, light) : softLight(rgb, light);
+
+                rgb = mix(rgb, shaded, uShadingStrength);
+            }
+
+            gl_FragColor = vec4(rgb, swatch.a * color.a);
+        }
+    `;
+
+  /**
+   * 依是否拼貼樣本取得對應的 Shader 程式
+   * @param {Object} options
+   * @return {Object} 含 program、attributeLocations、uniformLocations
+   */
+  retrieveShader(options) {
+    const hasSwatch = this.hasSwatch();
+    const cacheKey = hasSwatch ? this.type + '_swatch' : this.type;
+
+    if (!options.programCache.hasOwnProperty(cacheKey)) {
+      options.programCache[cacheKey] = this.createProgram(
+        options.context,
+        hasSwatch ? this.swatchFragmentSource : this.fragmentSource
+      );
+    }
+
+    return options.programCache[cacheKey];
+  }
+
   /**
    * 取得 Shader 中屬性的位置信息（attributeLocations）
    * @param {WebGLRenderingContext} gl WebGL 上下文
@@ -97,39 +237,282 @@ fabric.Image.filters.Perspective = class extends (
   }
 
   /**
-   * 將資料傳給 Shader 的 attribute
+   * 取得 Shader 中 uniform 的位置信息
+   * @param {WebGLRenderingContext} gl WebGL 上下文
+   * @param {WebGLShaderProgram} program 已編譯好的 Shader 程式
+   * @return {Object}
+   */
+  getUniformLocations(gl, program) {
+    return {
+      uSwatch: gl.getUniformLocation(program, 'uSwatch'),
+      uSwatchMatrix: gl.getUniformLocation(program, 'uSwatchMatrix'),
+      uShadingMap: gl.getUniformLocation(program, 'uShadingMap'),
+      uShadingMode: gl.getUniformLocation(program, 'uShadingMode'),
+      uHasShadingMap: gl.getUniformLocation(program, 'uHasShadingMap'),
+      uShadingStrength: gl.getUniformLocation(program, 'uShadingStrength'),
+    };
+  }
+
+  /**
+   * 將拼貼樣本與光影混合所需的 uniform 傳給 Shader
+   * @param {WebGLRenderingContext} gl WebGL 上下文
+   * @param {Object} uniformLocations getUniformLocations() 的結果
+   * @param {Object} options 濾鏡管線的參數（使用 sourceWidth、sourceHeight）
+   */
+  sendUniformData(gl, uniformLocations, options) {
+    if (!this.hasSwatch()) return;
+
+    const [a, b, c, d, e, f] = this.getSwatchMatrix(
+      options.sourceWidth,
+      options.sourceHeight
+    );
+
+    gl.uniform1i(uniformLocations.uSwatch, 1);
+    gl.uniformMatrix3fv(
+      uniformLocations.uSwatchMatrix,
+      false,
+      new Float32Array([a, b, 0, c, d, 0, e, f, 1])
+    );
+    gl.uniform1i(uniformLocations.uShadingMap, 2);
+    gl.uniform1i(
+      uniformLocations.uShadingMode,
+      SHADING_MODES.indexOf(this.shadingMode) + 1
+    );
+    gl.uniform1i(uniformLocations.uHasShadingMap, this.hasShadingMap() ? 1 : 0);
+    gl.uniform1f(uniformLocations.uShadingStrength, this.shadingStrength);
+  }
+
+  /**
+   * 將已上傳資料的緩衝區綁定到 Shader 的 attribute
    * @param {WebGLRenderingContext} gl WebGL 上下文
    * @param {Object} attributeLocations 上一步取得的 attribute 位置信息
-   * @param {Float32Array} data 要傳入的頂點或 UV 資料
+   * @param {WebGLBuffer} buffer 存放頂點或 UV 資料的緩衝區
    * @param {string} type 預設為 'aPosition' 或 'aUvs'
+   * @param {number} size 每個頂點的分量數
    */
-  sendAttributeData(gl, attributeLocations, data, type = 'aPosition') {
+  sendAttributeData(
+    gl,
+    attributeLocations,
+    buffer,
+    type = 'aPosition',
+    size = 2
+  ) {
     const attributeLocation = attributeLocations[type];
-    if (gl[type + 'vertexBuffer'] == null) {
-      gl[type + 'vertexBuffer'] = gl.createBuffer();
-    }
 
-    gl.bindBuffer(gl.ARRAY_BUFFER, gl[type + 'vertexBuffer']);
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
     gl.enableVertexAttribArray(attributeLocation);
-    gl.vertexAttribPointer(attributeLocation, 2, gl.FLOAT, false, 0, 0);
-    gl.bufferData(gl.ARRAY_BUFFER, data, gl.STATIC_DRAW);
+    gl.vertexAttribPointer(attributeLocation, size, gl.FLOAT, false, 0, 0);
   }
 
   /**
    * 使用 verb-nurbs-web 產生一個 NURBS 曲面 (NurbsSurface)，
    * 再由 tessellate() 將曲面離散化成對應的 polygon mesh (點與面)
-   * @return {Object} tessellation 結果，含有 points、faces、uvs 等資料
+   *
+   * projective 模式下沿用同一組 UV 網格，但頂點位置改由單應性矩陣計算，
+   * 並為每個頂點記錄透視內插所需的 q 值。
+   *
+   * 網格化的成本很高，結果會依座標與網格設定快取，設定未改變時回傳同一個物件，
+   * 呼叫端不可修改其內容。
+   * @return {Object} tessellation 結果，含有 points、faces、uvs（以及 qs）等資料
    */
   generateSurface() {
     const corners = this.perspectiveCoords;
-    // 由四個角定義一個 NURBS 曲面
-    const surface = verb.geom.NurbsSurface.byCorners(...corners);
+    const divisions = this.getDivisions();
+    const cacheKey = JSON.stringify([
+      this.warpMode,
+      corners,
+      this.meshCoords,
+      this.edgeHandles,
+      divisions,
+    ]);
+
+    if (this._surfaceCache && this._surfaceCache.key === cacheKey) {
+      return this._surfaceCache.tess;
+    }
+
     // 將曲面網格化 (tessellate)
-    const tess = surface.tessellate();
+    const tess = this.createSurface().tessellate({
+      minDivsU: divisions,
+      minDivsV: divisions,
+    });
 
+    if (this.warpMode === 'projective') {
+      const matrix = squareToQuad(corners);
+
+      tess.points = tess.uvs.map(([u, v]) => transformPoint(matrix, u, v));
+      tess.qs = tess.uvs.map(
+        ([u, v]) => 1 / (matrix[6] * u + matrix[7] * v + 1)
+      );
+    }
+
+    this._surfaceCache = { key: cacheKey, tess };
     return tess;
   }
 
+  /**
+   * 取得目前使用的網格分割數，草稿模式時使用較粗的 draftDivisions
+   * @return {number}
+   */
+  getDivisions() {
+    const divisions = this.draft ? this.draftDivisions : this.divisions;
+
+    // WebGL 不支援 32 位元索引時，限制分割數讓頂點數不超過 16 位元索引的上限（見 getBuffers()）
+    return this._divisionLimit
+      ? Math.min(divisions, this._divisionLimit)
+      : divisions;
+  }
+
+  /**
+   * 依目前的扭曲模式建立 NURBS 曲面
+   * mesh 模式由網格控制點建立；有邊緣切線控制點時以四條三次曲線建立 Coons patch；
+   * 其餘情況由四個角定義雙線性曲面。
+   * @return {verb.geom.NurbsSurface}
+   */
+  createSurface() {
+    if (this.isMeshMode()) {
+      return createMeshSurface(this.meshCoords);
+    }
+
+    if (this.edgeHandles) {
+      return createMeshSurface(
+        createCoonsMeshCoords(this.perspectiveCoords, this.edgeHandles)
+      );
+    }
+
+    return verb.geom.NurbsSurface.byCorners(...this.perspectiveCoords);
+  }
+
+  /**
+   * 建立將 UV (0..1) 映射到扭曲後座標的函式，結果與 generateSurface() 的網格一致
+   * @return {function(number, number): number[]}
+   */
+  createPointMapper() {
+    if (this.warpMode === 'projective') {
+      const matrix = squareToQuad(this.perspectiveCoords);
+
+      return (u, v) => transformPoint(matrix, u, v);
+    }
+
+    const surface = this.createSurface();
+
+    return (u, v) => surface.point(u, v);
+  }
+
+  /**
+   * 將 UV (0..1) 映射為扭曲後的座標（圖片像素，與 perspectiveCoords 相同的座標系）
+   * projective 模式使用單應性矩陣，其餘模式使用 generateSurface() 的三角網格，
+   * 與實際繪製的結果一致。
+   * @param {number} u
+   * @param {number} v
+   * @return {number[]|null} 扭曲後的座標，UV 超出範圍時回傳 null
+   */
+  mapUvToPoint(u, v) {
+    if (u < 0 || u > 1 || v < 0 || v > 1) return null;
+
+    if (this.warpMode === 'projective') {
+      return transformPoint(squareToQuad(this.perspectiveCoords), u, v);
+    }
+
+    return interpolateMesh(this.generateSurface(), 'uvs', 'points', [u, v]);
+  }
+
+  /**
+   * 將扭曲後的座標反向映射回 UV (0..1)
+   * @param {number} x
+   * @param {number} y
+   * @return {number[]|null} 對應的 UV，若座標不在扭曲後的曲面上則回傳 null
+   */
+  mapPointToUv(x, y) {
+    if (this.warpMode === 'projective') {
+      const matrix = invert(squareToQuad(this.perspectiveCoords));
+      if (!matrix) return null;
+
+      const [u, v] = transformPoint(matrix, x, y);
+      const epsilon = 1e-9;
+      const inside =
+        u >= -epsilon && u <= 1 + epsilon && v >= -epsilon && v <= 1 + epsilon;
+
+      return inside ? [u, v] : null;
+    }
+
+    return interpolateMesh(this.generateSurface(), 'points', 'uvs', [x, y]);
+  }
+
+  /**
+   * 是否以網格控制點進行扭曲
+   * @return {boolean}
+   */
+  isMeshMode() {
+    return this.warpMode === 'mesh' && !!this.meshCoords;
+  }
+
+  /**
+   * 取得決定扭曲範圍的所有點：mesh 模式為全部網格控制點，
+   * 其餘為四個透視點（以及邊緣切線控制點）
+   * @return {number[][]}
+   */
+  getWarpPoints() {
+    if (this.isMeshMode()) return flatten(this.meshCoords);
+
+    return this.edgeHandles
+      ? this.perspectiveCoords.concat(flatten(this.edgeHandles))
+      : this.perspectiveCoords;
+  }
+
+  /**
+   * 取得扭曲後圖片的外框（順時針，起點為左上角），座標系與 perspectiveCoords 相同
+   * 四邊皆為直線時（雙線性、projective）直接回傳四個角點；
+   * 曲線邊緣或 mesh 模式則沿著曲面的四條邊界取樣。
+   * @param {number} [segments] 曲線邊界上每條邊的取樣段數
+   * @return {number[][]}
+   */
+  getOutline(segments = 16) {
+    const hasCurvedEdges =
+      this.warpMode !== 'projective' &&
+      (this.isMeshMode() || !!this.edgeHandles);
+    if (!hasCurvedEdges) {
+      return this.perspectiveCoords.map((coord) => coord.slice(0, 2));
+    }
+
+    const pointAt = this.createPointMapper();
+    const outline = [];
+    // 上、右、下、左四條邊的 UV 起點與方向
+    const edges = [
+      [0, 0, 1, 0],
+      [1, 0, 0, 1],
+      [1, 1, -1, 0],
+      [0, 1, 0, -1],
+    ];
+
+    edges.forEach(([u, v, du, dv]) => {
+      for (let i = 0; i < segments; i++) {
+        const t = i / segments;
+        outline.push(pointAt(u + du * t, v + dv * t).slice(0, 2));
+      }
+    });
+
+    return outline;
+  }
+
+  /**
+   * 將 tessellation 的 UV 轉為 shader 使用的齊次紋理座標 (u * q, v * q, q)
+   * @param {Object} tess generateSurface() 的結果
+   * @return {Float32Array}
+   */
+  getTextureCoords(tess) {
+    const coords = new Float32Array(tess.uvs.length * 3);
+
+    for (let i = 0; i < tess.uvs.length; i++) {
+      const q = tess.qs ? tess.qs[i] : 1;
+
+      coords[i * 3] = tess.uvs[i][0] * q;
+      coords[i * 3 + 1] = tess.uvs[i][1] * q;
+      coords[i * 3 + 2] = q;
+    }
+
+    return coords;
+  }
+
   /**
    * 濾鏡應用的主要入口，當使用 WebGL 時會呼叫此方法
    * @param {Object} options
@@ -150,47 +533,392 @@ fabric.Image.filters.Perspective = class extends (
    * @param {Object} options.programCache A map of compiled shader programs, keyed by filter type.
    */
   applyTo(options) {
-    if (options.webgl) {
-      const { width, height } = this.getPerspectiveBounds();
+    const pixelRatio = this.getPixelRatio();
+    const bounds = this.getPerspectiveBounds();
+    // 座標以圖片像素儲存，輸出尺寸在此才換算成裝置像素
+    const width = bounds.width * pixelRatio;
+    const height = bounds.height * pixelRatio;
+
+    // 若使用相對座標則重新計算座標位置，使其從(0,0)開始
+    this.hasRelativeCoordinates && this.calculateCoordsByCorners();
 
+    if (options.webgl) {
       // 根據計算後的 bounds 設定繪製大小
       options.context.canvas.width = width;
       options.context.canvas.height = height;
       options.destinationWidth = width;
       options.destinationHeight = height;
 
-      // 若使用相對座標則重新計算座標位置，使其從(0,0)開始
-      this.hasRelativeCoordinates && this.calculateCoordsByCorners();
-
       // 設定 framebuffer，準備開始繪製
       this._setupFrameBuffer(options);
       // 使用 WebGL 方式將透視濾鏡應用到紋理上
       this.applyToWebGL(options);
       // 交換 source/target texture 以連續套用濾鏡
       this._swapTextures(options);
+    } else {
+      // 不支援 WebGL 時（例如 Canvas2dFilterBackend），改以 2D canvas 繪製相同的網格
+      this.applyTo2d(options);
     }
   }
 
   /**
-   * 根據 pixelRatio 將座標進行縮放，適用於 Retina 顯示器
-   * @param {number[][]} coords 預設使用 this.perspectiveCoords
+   * 以 Canvas2D 套用透視濾鏡（非 WebGL 的備援路徑）
+   *
+   * 使用與 WebGL 相同的 generateSurface() 網格，對每個三角形做仿射貼圖：
+   * 先以三角形裁切，再用 setTransform 將來源三角形映射到目標三角形後 drawImage。
+   * 結果會寫回 options.imageData，交由 Canvas2dFilterBackend 輸出。
+   *
+   * @param {Object} options
+   * @param {ImageData} options.imageData 目前濾鏡管線中的圖片資料
    */
-  applyPixelRatio(coords = this.perspectiveCoords) {
-    for (let i = 0; i < coords.length; i++) {
-      coords[i][0] *= this.pixelRatio;
-      coords[i][1] *= this.pixelRatio;
+  applyTo2d(options) {
+    const sourceData = options.imageData;
+    const sourceWidth = sourceData.width;
+    const sourceHeight = sourceData.height;
+    const pixelRatio = this.getPixelRatio();
+    // 與 WebGL 設定 canvas.width 時相同，捨去小數位
+    const width = Math.max(1, Math.floor(this.bounds.width * pixelRatio));
+    const height = Math.max(1, Math.floor(this.bounds.height * pixelRatio));
+
+    // 將目前的圖片資料放入暫存 canvas，作為 drawImage 的來源
+    const sourceCanvas = fabric.util.createCanvasElement();
+    sourceCanvas.width = sourceWidth;
+    sourceCanvas.height = sourceHeight;
+    sourceCanvas.getContext('2d').putImageData(sourceData, 0, 0);
+    // 拼貼樣本時，先在來源圖片的座標系中鋪滿樣本並混合原圖光影，再與其他模式一樣扭曲
+    if (this.hasSwatch()) {
+      this.drawSwatch(sourceCanvas);
+      this.shadingMode && this.applyShading2d(sourceCanvas, sourceData);
     }
 
-    return coords;
+    const targetCanvas = fabric.util.createCanvasElement();
+    targetCanvas.width = width;
+    targetCanvas.height = height;
+    const ctx = targetCanvas.getContext('2d');
+    fabric.util.setImageSmoothing(ctx, true);
+
+    const tess = this.generateSurface();
+
+    for (let i = 0; i < tess.faces.length; i++) {
+      const face = tess.faces[i];
+      const src = face.map((index) => [
+        tess.uvs[index][0] * sourceWidth,
+        tess.uvs[index][1] * sourceHeight,
+      ]);
+      const dst = face.map((index) => [
+        tess.points[index][0] * pixelRatio,
+        tess.points[index][1] * pixelRatio,
+      ]);
+
+      this.drawTriangle(ctx, sourceCanvas, src, dst);
+    }
+
+    options.imageData = ctx.getImageData(0, 0, width, height);
+  }
+
+  /**
+   * 將來源圖片中的一個三角形，以仿射轉換繪製到目標三角形
+   * @param {CanvasRenderingContext2D} ctx 目標 context
+   * @param {HTMLCanvasElement} image 來源圖片
+   * @param {number[][]} src 來源三角形的三個頂點（像素座標）
+   * @param {number[][]} dst 目標三角形的三個頂點（像素座標）
+   */
+  drawTriangle(ctx, image, src, dst) {
+    const [[sx0, sy0], [sx1, sy1], [sx2, sy2]] = src;
+    const [[dx0, dy0], [dx1, dy1], [dx2, dy2]] = dst;
+
+    const det = (sx1 - sx0) * (sy2 - sy0) - (sx2 - sx0) * (sy1 - sy0);
+    // 退化的三角形（面積為 0）不需要繪製
+    if (det === 0) return;
+
+    // 解出將來源三角形映射到目標三角形的仿射矩陣 [a, b, c, d, e, f]
+    const a = ((dx1 - dx0) * (sy2 - sy0) - (dx2 - dx0) * (sy1 - sy0)) / det;
+    const b = ((dy1 - dy0) * (sy2 - sy0) - (dy2 - dy0) * (sy1 - sy0)) / det;
+    const c = ((dx2 - dx0) * (sx1 - sx0) - (dx1 - dx0) * (sx2 - sx0)) / det;
+    const d = ((dy2 - dy0) * (sx1 - sx0) - (dy1 - dy0) * (sx2 - sx0)) / det;
+    const e = dx0 - a * sx0 - c * sy0;
+    const f = dy0 - b * sx0 - d * sy0;
+
+    // 稍微放大裁切範圍，避免相鄰三角形之間出現細縫
+    const clip = this.expandTriangle(dst, 0.5);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.moveTo(clip[0][0], clip[0][1]);
+    ctx.lineTo(clip[1][0], clip[1][1]);
+    ctx.lineTo(clip[2][0], clip[2][1]);
+    ctx.closePath();
+    ctx.clip();
+    ctx.transform(a, b, c, d, e, f);
+    ctx.drawImage(image, 0, 0);
+    ctx.restore();
+  }
+
+  /**
+   * 以三角形重心為基準，將三個頂點向外推移指定的距離
+   * @param {number[][]} points 三角形的三個頂點
+   * @param {number} amount 向外推移的距離（像素）
+   * @return {number[][]} 放大後的三個頂點
+   */
+  expandTriangle(points, amount) {
+    const cx = (points[0][0] + points[1][0] + points[2][0]) / 3;
+    const cy = (points[0][1] + points[1][1] + points[2][1]) / 3;
+
+    return points.map(([x, y]) => {
+      const length = Math.hypot(x - cx, y - cy) || 1;
+
+      return [
+        x + ((x - cx) / length) * amount,
+        y + ((y - cy) / length) * amount,
+      ];
+    });
+  }
+
+  /**
+   * 是否以拼貼的樣本取代原圖的顏色（樣本圖片載入完成後才生效）
+   * @return {boolean}
+   */
+  hasSwatch() {
+    return !!(this.swatchSrc && this.swatchElement);
+  }
+
+  /**
+   * 是否使用自訂光影圖（光影圖載入完成後才生效）
+   * @return {boolean}
+   */
+  hasShadingMap() {
+    return !!(this.shadingMapSrc && this.shadingMapElement);
+  }
+
+  /**
+   * 設定要拼貼的樣本圖片，圖片載入完成後才會呼叫 callback
+   * @param {string|null} src 樣本圖片網址，為 null 時取消拼貼
+   * @param {function(fabric.Image.filters.Perspective, boolean): void} [callback]
+   * 載入完成後的回呼函式，第二個參數表示是否載入失敗
+   */
+  setSwatch(src, callback) {
+    this._setImage('swatch', src, callback);
+  }
+
+  /**
+   * 設定自訂光影圖，圖片載入完成後才會呼叫 callback
+   * @param {string|null} src 光影圖網址，為 null 時改用原圖的亮度
+   * @param {function(fabric.Image.filters.Perspective, boolean): void} [callback]
+   * 載入完成後的回呼函式，第二個參數表示是否載入失敗
+   */
+  setShadingMap(src, callback) {
+    this._setImage('shadingMap', src, callback);
+  }
+
+  /**
+   * 載入額外的圖片（樣本或光影圖），並存放在 `${name}Src`、`${name}Element`
+   * @private
+   * @param {string} name 'swatch' 或 'shadingMap'
+   * @param {string|null} src 圖片網址
+   * @param {function(fabric.Image.filters.Perspective, boolean): void} [callback]
+   */
+  _setImage(name, src, callback) {
+    const srcKey = name + 'Src';
+    const elementKey = name + 'Element';
+
+    if (src === this[srcKey] && (this[elementKey] || !src)) {
+      callback && callback(this, false);
+      return;
+    }
+
+    this._evictTexture(name);
+    this[srcKey] = src || null;
+    this[elementKey] = null;
+
+    if (!src) {
+      callback && callback(this, false);
+      return;
+    }
+
+    fabric.util.loadImage(
+      src,
+      (img, isError) => {
+        // 載入期間已改用其他圖片時，忽略這次的結果
+        if (this[srcKey] !== src) return;
+
+        this[elementKey] = isError ? null : img;
+        callback && callback(this, !!isError);
+      },
+      null,
+      'anonymous'
+    );
+  }
+
+  /**
+   * 取得額外圖片在 filterBackend 紋理快取中的鍵值
+   * @param {string} name 'swatch' 或 'shadingMap'
+   * @return {string}
+   */
+  getTextureCacheKey(name) {
+    return `perspective_${name}_${this[name + 'Src']}`;
+  }
+
+  /**
+   * 自 filterBackend 移除額外圖片的紋理快取（下次繪製時會重新上傳）
+   * @private
+   * @param {string} name 'swatch' 或 'shadingMap'
+   */
+  _evictTexture(name) {
+    if (!this[name + 'Src']) return;
+
+    const key = this.getTextureCacheKey(name);
+    const users = textureUsers.get(key);
+    const backend = fabric.filterBackend;
+
+    // 其他濾鏡仍使用同一張圖片時保留紋理
+    users && users.delete(this);
+    if (users && users.size) return;
+
+    textureUsers.delete(key);
+    backend && backend.evictCachesForKey(key);
+  }
+
+  /**
+   * 計算將 UV (0..1) 轉為拼貼座標的仿射矩陣，每片樣本在拼貼座標中佔 0..1
+   * 先換算為來源圖片像素，再依序套用位移、旋轉與縮放（樣本尺寸 x swatchScale）。
+   * @param {number} sourceWidth 來源圖片寬度（像素）
+   * @param {number} sourceHeight 來源圖片高度（像素）
+   * @return {number[]} fabric 格式的矩陣 [a, b, c, d, e, f]
+   */
+  getSwatchMatrix(sourceWidth, sourceHeight) {
+    const element = this.swatchElement;
+    const tileWidth =
+      (element.naturalWidth || element.width) * this.swatchScale;
+    const tileHeight =
+      (element.naturalHeight || element.height) * this.swatchScale;
+    const angle = fabric.util.degreesToRadians(-this.swatchAngle);
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const multiply = fabric.util.multiplyTransformMatrices;
+
+    let matrix = [sourceWidth, 0, 0, sourceHeight, 0, 0];
+    matrix = multiply(
+      [1, 0, 0, 1, -this.swatchOffsetX, -this.swatchOffsetY],
+      matrix
+    );
+    matrix = multiply([cos, sin, -sin, cos, 0, 0], matrix);
+    matrix = multiply([1 / tileWidth, 0, 0, 1 / tileHeight, 0, 0], matrix);
+
+    return matrix;
+  }
+
+  /**
+   * 以 Canvas2D 在來源圖片上鋪滿樣本，並保留來源圖片的透明度
+   * 結果與 swatchFragmentSource 相同，之後再交由 applyTo2d() 扭曲。
+   * @param {HTMLCanvasElement} canvas 已放入來源圖片的 canvas（會直接修改）
+   */
+  drawSwatch(canvas) {
+    const { width, height } = canvas;
+    const element = this.swatchElement;
+    const ctx = canvas.getContext('2d');
+    const multiply = fabric.util.multiplyTransformMatrices;
+
+    // 來源像素 → 樣本像素
+    let toSwatch = multiply(this.getSwatchMatrix(width, height), [
+      1 / width,
+      0,
+      0,
+      1 / height,
+      0,
+      0,
+    ]);
+    toSwatch = multiply(
+      [
+        element.naturalWidth || element.width,
+        0,
+        0,
+        element.naturalHeight || element.height,
+        0,
+        0,
+      ],
+      toSwatch
+    );
+
+    // 在樣本座標中找出涵蓋整張來源圖片的範圍
+    const corners = [
+      [0, 0],
+      [width, 0],
+      [width, height],
+      [0, height],
+    ].map(([x, y]) =>
+      fabric.util.transformPoint(new fabric.Point(x, y), toSwatch)
+    );
+    const minX = fabric.util.array.min(corners, 'x');
+    const minY = fabric.util.array.min(corners, 'y');
+    const maxX = fabric.util.array.max(corners, 'x');
+    const maxY = fabric.util.array.max(corners, 'y');
+
+    ctx.save();
+    // source-in：只在原圖不透明處繪製樣本，並乘上原圖的透明度
+    ctx.globalCompositeOperation = 'source-in';
+    ctx.setTransform(...fabric.util.invertTransform(toSwatch));
+    ctx.fillStyle = ctx.createPattern(element, 'repeat');
+    ctx.fillRect(minX, minY, maxX - minX, maxY - minY);
+    ctx.restore();
+  }
+
+  /**
+   * 以 Canvas2D 將原圖（或自訂光影圖）的亮度混合到已鋪滿樣本的 canvas 上
+   * 結果與 swatchFragmentSource 的光影混合相同。
+   * @param {HTMLCanvasElement} canvas drawSwatch() 處理後的 canvas（會直接修改）
+   * @param {ImageData} sourceData 原圖的圖片資料
+   */
+  applyShading2d(canvas, sourceData) {
+    const { width, height } = canvas;
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.getImageData(0, 0, width, height);
+    const data = imageData.data;
+    let shadingData = sourceData.data;
+
+    // 自訂光影圖縮放到與來源圖片相同的尺寸，讓兩者以相同的 UV 對齊
+    if (this.hasShadingMap()) {
+      const shadingCanvas = fabric.util.createCanvasElement();
+      shadingCanvas.width = width;
+      shadingCanvas.height = height;
+      const shadingCtx = shadingCanvas.getContext('2d');
+      shadingCtx.drawImage(this.shadingMapElement, 0, 0, width, height);
+      shadingData = shadingCtx.getImageData(0, 0, width, height).data;
+    }
+
+    for (let i = 0; i < data.length; i += 4) {
+      const light =
+        (0.299 * shadingData[i] +
+          0.587 * shadingData[i + 1] +
+          0.114 * shadingData[i + 2]) /
+        255;
+
+      for (let k = 0; k < 3; k++) {
+        const base = data[i + k] / 255;
+        const shaded = blendShading(base, light, this.shadingMode);
+
+        data[i + k] = (base + (shaded - base) * this.shadingStrength) * 255;
+      }
+    }
+
+    ctx.putImageData(imageData, 0, 0);
+  }
+
+  /**
+   * 取得繪製時使用的像素比例，適用於 Retina 顯示器
+   * 透視座標一律以圖片像素儲存，只有輸出時才乘上此比例。
+   * @return {number}
+   */
+  getPixelRatio() {
+    return this.pixelRatio || fabric.devicePixelRatio;
   }
 
   /**
    * 計算透視後的邊界，並儲存在 this.bounds 中
-   * @param {number[][]} coords 預設使用 this.perspectiveCoords
+   * @param {number[][]} coords 預設使用 this.getWarpPoints()
    * @return {Object} 返回包含寬高及 minX, maxX, minY, maxY 的物件
    */
-  getPerspectiveBounds(coords = this.perspectiveCoords) {
-    coords = this.perspectiveCoords.slice().map((c) => ({
+  getPerspectiveBounds(coords = this.getWarpPoints()) {
+    coords = coords.slice().map((c) => ({
       x: c[0],
       y: c[1],
     }));
@@ -216,12 +944,17 @@ fabric.Image.filters.Perspective = class extends (
   /**
    * 若使用相對座標，則將計算得到的邊界最小點當成 (0,0) 起點，
    * 將所有座標平移，使之從最小值開始計算。
+   * mesh 模式的 getWarpPoints() 只有網格控制點，四個透視點改由平移後的網格角點重建。
    */
-  calculateCoordsByCorners(coords = this.perspectiveCoords) {
+  calculateCoordsByCorners(coords = this.getWarpPoints()) {
     for (let i = 0; i < coords.length; i++) {
       coords[i][0] -= this.bounds.minX;
       coords[i][1] -= this.bounds.minY;
     }
+
+    if (this.isMeshMode()) {
+      this.perspectiveCoords = cloneCoords(getMeshCorners(this.meshCoords));
+    }
   }
 
   /**
@@ -244,49 +977,129 @@ fabric.Image.filters.Perspective = class extends (
   applyToWebGL(options) {
     const gl = options.context;
     const shader = this.retrieveShader(options); // 載入或建立 Shader
-    const tess = this.generateSurface(
-      options.sourceWidth,
-      options.sourceHeight
-    );
-    const indices = new Uint16Array(flatten(tess.faces));
+    const buffers = this.getBuffers(gl);
 
     // 清空畫布
     this.clear(gl);
 
     // 綁定紋理
     this.bindTexture(gl, options);
+    this.hasSwatch() && this.bindImageTexture(gl, options, 'swatch', 1);
+    this.hasShadingMap() && this.bindImageTexture(gl, options, 'shadingMap', 2);
 
     gl.useProgram(shader.program);
 
-    // 建立並設定索引緩衝（elements array buffer）
-    this.indexBuffer(gl, indices);
+    // 綁定索引緩衝（elements array buffer）
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, buffers.index);
 
-    // 將頂點位置資料傳給 Shader
+    // 將頂點位置（已換算為裝置像素）與 UV 資料傳給 Shader
     this.sendAttributeData(
       gl,
       shader.attributeLocations,
-      new Float32Array(flatten(tess.points)),
+      buffers.position,
       'aPosition'
     );
-    // 將 UV 資料傳給 Shader
     this.sendAttributeData(
       gl,
       shader.attributeLocations,
-      new Float32Array(flatten(tess.uvs)),
-      'aUvs'
+      buffers.uvs,
+      'aUvs',
+      3
     );
 
     gl.uniform1f(shader.uniformLocations.uStepW, 1 / gl.canvas.width);
     gl.uniform1f(shader.uniformLocations.uStepH, 1 / gl.canvas.height);
 
     // 傳送其他 Uniform 資料（若需要）
-    this.sendUniformData(gl, shader.uniformLocations);
+    this.sendUniformData(gl, shader.uniformLocations, options);
     gl.viewport(0, 0, options.destinationWidth, options.destinationHeight);
 
-    // 啟用較大索引支援
-    gl.getExtension('OES_element_index_uint');
     // 繪製元素（網格）
-    gl.drawElements(gl.TRIANGLES, indices.length, gl.UNSIGNED_SHORT, 0);
+    gl.drawElements(gl.TRIANGLES, buffers.count, buffers.indexType, 0);
+
+    this.hasSwatch() && this.unbindAdditionalTexture(gl, gl.TEXTURE1);
+    this.hasShadingMap() && this.unbindAdditionalTexture(gl, gl.TEXTURE2);
+  }
+
+  /**
+   * 取得此濾鏡在指定 WebGL context 上的頂點、UV 與索引緩衝區
+   * 緩衝區在濾鏡的生命週期內重複使用，只有網格或像素比例改變時才重新上傳資料。
+   * 頂點數超過 16 位元索引的上限時，改用 OES_element_index_uint 的 32 位元索引；
+   * 不支援時將分割數減半重新網格化，直到頂點數不超過上限為止（之後的繪製沿用這個上限）。
+   * @param {WebGLRenderingContext} gl WebGL 上下文
+   * @return {Object} 含 position、uvs、index 緩衝區，以及繪製所需的 count、indexType
+   */
+  getBuffers(gl) {
+    let tess = this.generateSurface();
+    const useUint32 =
+      tess.points.length > MAX_UINT16_VERTICES &&
+      !!gl.getExtension('OES_element_index_uint');
+
+    while (
+      !useUint32 &&
+      tess.points.length > MAX_UINT16_VERTICES &&
+      this.getDivisions() > 1
+    ) {
+      this._divisionLimit = Math.floor(this.getDivisions() / 2);
+      tess = this.generateSurface();
+    }
+
+    const pixelRatio = this.getPixelRatio();
+
+    // 濾鏡改在另一個 context 上繪製時，先釋放舊 context 上的緩衝區
+    if (this._buffers && this._buffers.gl !== gl) this.dispose();
+
+    if (!this._buffers) {
+      this._buffers = {
+        gl,
+        position: gl.createBuffer(),
+        uvs: gl.createBuffer(),
+        index: gl.createBuffer(),
+      };
+    }
+
+    const buffers = this._buffers;
+    if (buffers.tess === tess && buffers.pixelRatio === pixelRatio) {
+      return buffers;
+    }
+
+    const positions = new Float32Array(flatten(tess.points));
+    for (let i = 0; i < positions.length; i++) positions[i] *= pixelRatio;
+
+    const indices = createMeshIndices(tess);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffers.position);
+    gl.bufferData(gl.ARRAY_BUFFER, positions, gl.STATIC_DRAW);
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffers.uvs);
+    gl.bufferData(gl.ARRAY_BUFFER, this.getTextureCoords(tess), gl.STATIC_DRAW);
+    this.indexBuffer(gl, buffers.index, indices);
+
+    buffers.tess = tess;
+    buffers.pixelRatio = pixelRatio;
+    buffers.count = indices.length;
+    buffers.indexType =
+      indices instanceof Uint32Array ? gl.UNSIGNED_INT : gl.UNSIGNED_SHORT;
+
+    return buffers;
+  }
+
+  /**
+   * 釋放此濾鏡建立的 WebGL 緩衝區與網格快取
+   * 由 fabric.Photo#dispose 呼叫，濾鏡之後仍可使用，下次繪製時會重新建立。
+   */
+  dispose() {
+    if (this._buffers) {
+      const { gl, position, uvs, index } = this._buffers;
+
+      gl.deleteBuffer(position);
+      gl.deleteBuffer(uvs);
+      gl.deleteBuffer(index);
+      this._buffers = null;
+    }
+
+    this._surfaceCache = null;
+    this._evictTexture('swatch');
+    this._evictTexture('shadingMap');
   }
 
   /**
@@ -315,16 +1128,70 @@ fabric.Image.filters.Perspective = class extends (
   }
 
   /**
-   * 建立並綁定索引緩衝（Element Array Buffer）
+   * 將額外的圖片（樣本為 TEXTURE1、光影圖為 TEXTURE2）綁定到指定的紋理單元
+   * 紋理由 filterBackend 依圖片網址快取，多張照片使用同一張圖片時共用同一份紋理。
+   * @param {WebGLRenderingContext} gl WebGL 上下文
+   * @param {Object} options 濾鏡管線的參數
+   * @param {string} name 'swatch' 或 'shadingMap'
+   * @param {number} unit 紋理單元編號
+   */
+  bindImageTexture(gl, options, name, unit) {
+    const key = this.getTextureCacheKey(name);
+    const texture = options.filterBackend.getCachedTexture(
+      key,
+      this[name + 'Element']
+    );
+
+    textureUsers.has(key) || textureUsers.set(key, new Set());
+    textureUsers.get(key).add(this);
+
+    gl.activeTexture(gl.TEXTURE0 + unit);
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    // 重複拼貼由 shader 的 fract() 處理，紋理本身維持 CLAMP_TO_EDGE
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.activeTexture(gl.TEXTURE0);
+  }
+
+  /**
+   * 綁定並填入索引緩衝（Element Array Buffer）
    * indices 用於定義網格中三角形的連結方式
    */
-  indexBuffer(gl, data) {
-    const indexBuffer = gl.createBuffer();
+  indexBuffer(gl, indexBuffer, data) {
     // make this buffer the current 'ELEMENT_ARRAY_BUFFER'
     gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
     // Fill the current element array buffer with data
     gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, data, gl.STATIC_DRAW);
   }
+
+  /**
+   * 將濾鏡序列化為 JSON 物件，包含還原扭曲所需的所有座標與設定
+   * @return {Object}
+   */
+  toObject() {
+    return {
+      ...super.toObject(),
+      perspectiveVersion: PERSPECTIVE_VERSION,
+      perspectiveCoords: cloneCoords(this.perspectiveCoords),
+      pixelRatio: this.pixelRatio,
+      hasRelativeCoordinates: this.hasRelativeCoordinates,
+      warpMode: this.warpMode,
+      meshCoords: cloneCoords(this.meshCoords),
+      edgeHandles: cloneCoords(this.edgeHandles),
+      divisions: this.divisions,
+      draftDivisions: this.draftDivisions,
+      swatchSrc: this.swatchSrc,
+      swatchScale: this.swatchScale,
+      swatchAngle: this.swatchAngle,
+      swatchOffsetX: this.swatchOffsetX,
+      swatchOffsetY: this.swatchOffsetY,
+      shadingMode: this.shadingMode,
+      shadingStrength: this.shadingStrength,
+      shadingMapSrc: this.shadingMapSrc,
+    };
+  }
 };
 
 /**
@@ -333,6 +1200,32 @@ fabric.Image.filters.Perspective = class extends (
  * @param {Object} object 用於產生濾鏡實例的描述物件
  * @param {function} [callback] 建立完成後的回呼函式
  * @return {fabric.Image.filters.Perspective} 回傳產生的 Perspective 濾鏡實例
+ *
+ * 舊版本沒有序列化透視座標，這類濾鏡無法還原，會以錯誤回呼並略過，
+ * 由 fabric.Photo 在圖片載入後重新建立。
+ * 有拼貼樣本或光影圖時，callback 會在圖片載入完成後才被呼叫。
  */
-fabric.Image.filters.Perspective.fromObject =
-  fabric.Image.filters.BaseFilter.fromObject;
+fabric.Image.filters.Perspective.fromObject = function (object, callback) {
+  if (!object.perspectiveCoords) {
+    callback && callback(null, true);
+    return null;
+  }
+
+  const filter = new fabric.Image.filters.Perspective({
+    ...object,
+    perspectiveCoords: cloneCoords(object.perspectiveCoords),
+    meshCoords: cloneCoords(object.meshCoords),
+    edgeHandles: cloneCoords(object.edgeHandles),
+    swatchSrc: null,
+    shadingMapSrc: null,
+  });
+
+  // 有拼貼樣本或光影圖時，等圖片載入後才完成還原
+  filter.setSwatch(object.swatchSrc, () =>
+    filter.setShadingMap(
+      object.shadingMapSrc,
+      () => callback && callback(filter)
+    )
+  );
+  return filter;
+};
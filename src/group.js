@@ -0,0 +1,448 @@
+import { fabric } from 'fabric';
+import './photo';
+import { cloneCoords } from './coords';
+
+// 預設的貼圖解析度倍率（貼圖像素 / 畫布單位）
+const TEXTURE_SCALE = 2;
+// 判斷扭曲是否仍為仿射變換時，每個方向的取樣數與容許誤差（群組貼圖像素）
+const AFFINE_SAMPLES = 4;
+const AFFINE_TOLERANCE = 0.5;
+
+/**
+ * 將多個物件以畫布座標繪製成一張貼圖
+ * @param {fabric.Object[]} objects 不在群組中的物件（畫布座標）
+ * @param {{ left: number, top: number, width: number, height: number }} bounds 貼圖涵蓋的範圍
+ * @param {number} scale 貼圖像素 / 畫布單位
+ * @return {HTMLCanvasElement}
+ */
+function renderObjects(objects, bounds, scale) {
+  const canvasEl = fabric.util.createCanvasElement();
+  canvasEl.width = Math.max(1, Math.ceil(bounds.width * scale));
+  canvasEl.height = Math.max(1, Math.ceil(bounds.height * scale));
+
+  const ctx = canvasEl.getContext('2d');
+  ctx.scale(scale, scale);
+  ctx.translate(-bounds.left, -bounds.top);
+
+  objects.forEach((object) => {
+    // 物件快取以畫布的縮放決定解析度，直接繪製才能得到貼圖倍率的清晰度
+    const objectCaching = object.objectCaching;
+    object.objectCaching = false;
+    object.render(ctx);
+    object.objectCaching = objectCaching;
+  });
+
+  return canvasEl;
+}
+
+/**
+ * 取得多個物件在畫布上的外接矩形
+ * @param {fabric.Object[]} objects
+ * @return {{ left: number, top: number, width: number, height: number }}
+ */
+function getBounds(objects) {
+  const rects = objects.map((object) => object.getBoundingRect(true, true));
+  const left = Math.min(...rects.map((rect) => rect.left));
+  const top = Math.min(...rects.map((rect) => rect.top));
+  const right = Math.max(...rects.map((rect) => rect.left + rect.width));
+  const bottom = Math.max(...rects.map((rect) => rect.top + rect.height));
+
+  return { left, top, width: right - left, height: bottom - top };
+}
+
+/**
+ * 將矩陣套用到物件上（與 fabric.Group#realizeTransform 相同的分解方式）
+ * @param {fabric.Object} object
+ * @param {number[]} matrix
+ */
+function applyTransform(object, matrix) {
+  const options = fabric.util.qrDecompose(
+    fabric.util.multiplyTransformMatrices(matrix, object.calcTransformMatrix())
+  );
+
+  object.flipX = false;
+  object.flipY = false;
+  object.set('scaleX', options.scaleX);
+  object.set('scaleY', options.scaleY);
+  object.skewX = options.skewX;
+  object.skewY = options.skewY;
+  object.angle = options.angle;
+  object.setPositionByOrigin(
+    new fabric.Point(options.translateX, options.translateY),
+    'center',
+    'center'
+  );
+  object.setCoords();
+}
+
+/**
+ * fabric.PerspectiveGroup 以同一組透視角點扭曲的物件群組
+ * @class fabric.PerspectiveGroup
+ * @extends fabric.Photo
+ *
+ * 將多個物件（多張照片、照片加文字等整個構圖）繪製成一張貼圖，再以 fabric.Photo 的透視扭曲
+ * 作為一個整體貼到同一個平面上，四個控制點位於群組上，群組內的物件不會各自偏移。
+ * 群組保留原本的物件，解散時（ungroup）：
+ * - 扭曲仍為仿射變換（只有移動、縮放、旋轉或錯切）時，將變換套用回原本的物件，物件維持可編輯
+ * - 否則將每個物件繪製成各自的照片，並套用群組扭曲中對應該物件範圍的部分，畫面與解散前一致
+ */
+fabric.PerspectiveGroup = class extends fabric.Photo {
+  type = 'perspectiveGroup';
+  // 群組中的物件（建立群組當下的畫布座標，依堆疊順序）
+  objects = [];
+  // 建立群組當下物件的外接矩形（畫布座標），即貼圖涵蓋的範圍
+  objectBounds = null;
+  // 貼圖的解析度倍率（貼圖像素 / 畫布單位）
+  textureScale = TEXTURE_SCALE;
+
+  /**
+   * 建構子，一般以 fabric.PerspectiveGroup.fromObjects() 或 fromSelection() 建立
+   * @param {string} src 群組貼圖的網址
+   * @param {object} options fabric 物件的相關選項，須包含 objects 與 objectBounds
+   */
+  constructor(src, options) {
+    super(src, options);
+
+    // 子類別的欄位在父類別建構子之後才初始化，需要再套用一次選項
+    if (options) this.setOptions(options);
+  }
+
+  /**
+   * @description 取得群組中的物件
+   * @return {fabric.Object[]}
+   */
+  getObjects() {
+    return this.objects;
+  }
+
+  /**
+   * @description 群組目前的扭曲是否仍為仿射變換（平行四邊形，沒有透視或彎曲）
+   * @return {boolean}
+   */
+  isAffine() {
+    const perspectiveFilter = this.getPerspectiveFilter();
+    if (!perspectiveFilter) return true;
+
+    const pointAt = perspectiveFilter.createPointMapper();
+    const [c0, c1, , c3] = this.perspectiveCoords;
+
+    for (let row = 0; row <= AFFINE_SAMPLES; row++) {
+      for (let col = 0; col <= AFFINE_SAMPLES; col++) {
+        const u = col / AFFINE_SAMPLES;
+        const v = row / AFFINE_SAMPLES;
+        const [x, y] = pointAt(u, v);
+        const dx = c0[0] + u * (c1[0] - c0[0]) + v * (c3[0] - c0[0]) - x;
+        const dy = c0[1] + u * (c1[1] - c0[1]) + v * (c3[1] - c0[1]) - y;
+
+        if (Math.hypot(dx, dy) > AFFINE_TOLERANCE) return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * @description 解散群組，以群組中的物件取代畫布上的群組（維持堆疊位置）
+   * 扭曲為仿射變換時放回原本的物件（已套用群組的變換），否則放回烘焙後的 fabric.Photo
+   * @return {fabric.Object[]} 解散後的物件，圖片尚未載入時回傳空陣列
+   */
+  ungroup() {
+    const canvas = this.canvas;
+    if (!canvas || !this.getPerspectiveFilter()) return [];
+
+    const objects = this.isAffine()
+      ? this._restoreObjects()
+      : this.objects.map((object) => this._bakeObject(object));
+    const index = canvas.getObjects().indexOf(this);
+    canvas.discardActiveObject();
+    canvas.remove(this);
+    objects.forEach((object, offset) =>
+      canvas.insertAt(object, index + offset)
+    );
+    canvas.requestRenderAll();
+
+    return objects;
+  }
+
+  /**
+   * @description 將群組序列化為 JSON 物件，額外包含群組中的物件
+   * @param {string[]} [propertiesToInclude] 額外需要輸出的屬性
+   * @return {Object}
+   */
+  toObject(propertiesToInclude = []) {
+    return {
+      ...super.toObject(propertiesToInclude),
+      objects: this.objects.map((object) =>
+        object.toObject(propertiesToInclude)
+      ),
+      objectBounds: { ...this.objectBounds },
+      textureScale: this.textureScale,
+    };
+  }
+
+  /**
+   * @private
+   * @description 取得將建立群組當下的畫布座標轉為群組扭曲座標的矩陣（扭曲須為仿射變換）
+   * @return {number[]}
+   */
+  _getObjectToWarpMatrix() {
+    const { left, top } = this.objectBounds;
+    const { width, height } = this._getPaddedSize();
+    const [c0, c1, , c3] = this.perspectiveCoords;
+    const scale = this.textureScale;
+
+    // 貼圖像素加上邊距後除以來源尺寸即為 UV，再以三個角點展開成平行四邊形
+    const a = (c1[0] - c0[0]) / width;
+    const b = (c1[1] - c0[1]) / width;
+    const c = (c3[0] - c0[0]) / height;
+    const d = (c3[1] - c0[1]) / height;
+
+    return fabric.util.multiplyTransformMatrices(
+      [
+        a,
+        b,
+        c,
+        d,
+        c0[0] + a * this.paddingL + c * this.paddingT,
+        c0[1] + b * this.paddingL + d * this.paddingT,
+      ],
+      [scale, 0, 0, scale, -left * scale, -top * scale]
+    );
+  }
+
+  /**
+   * @private
+   * @description 將群組目前的變形套用回原本的物件
+   * @return {fabric.Object[]}
+   */
+  _restoreObjects() {
+    const matrix = fabric.util.multiplyTransformMatrices(
+      this._getWarpTransformMatrix(true),
+      this._getObjectToWarpMatrix()
+    );
+
+    this.objects.forEach((object) => applyTransform(object, matrix));
+
+    return this.objects;
+  }
+
+  /**
+   * @private
+   * @description 將一個物件繪製成照片，並套用群組扭曲中對應該物件範圍的部分
+   * @param {fabric.Object} object 群組中的物件
+   * @return {fabric.Photo}
+   */
+  _bakeObject(object) {
+    const scale = this.textureScale;
+    const bounds = object.getBoundingRect(true, true);
+    const { width, height } = this._getPaddedSize();
+    const toU = (x) =>
+      ((x - this.objectBounds.left) * scale + this.paddingL) / width;
+    const toV = (y) =>
+      ((y - this.objectBounds.top) * scale + this.paddingT) / height;
+    const warp = this._cropWarp(
+      toU(bounds.left),
+      toV(bounds.top),
+      toU(bounds.left + bounds.width),
+      toV(bounds.top + bounds.height)
+    );
+
+    const photo = new fabric.Photo(
+      renderObjects([object], bounds, scale).toDataURL(),
+      {
+        width: warp.width,
+        height: warp.height,
+        angle: this.angle,
+        scaleX: this.scaleX,
+        scaleY: this.scaleY,
+        skewX: this.skewX,
+        skewY: this.skewY,
+        flipX: this.flipX,
+        flipY: this.flipY,
+        perspectiveMode: this.perspectiveMode,
+        perspectiveCoords: warp.perspectiveCoords,
+        warpMode: this.warpMode,
+        meshRows: this.meshRows,
+        meshCols: this.meshCols,
+        meshCoords: warp.meshCoords,
+        edgeHandles: warp.edgeHandles,
+        showEdgeHandles: this.showEdgeHandles,
+        cornerConstraint: this.cornerConstraint,
+        perspectivePlaneId: this.perspectivePlaneId,
+      }
+    );
+
+    // 照片與群組共用相同的變形，扭曲座標只差外接矩形左上角的位移，因此以外接矩形的中心對齊
+    photo.setPositionByOrigin(
+      fabric.util.transformPoint(
+        new fabric.Point(
+          warp.left + warp.width / 2,
+          warp.top + warp.height / 2
+        ),
+        this._getWarpTransformMatrix(true)
+      ),
+      'center',
+      'center'
+    );
+
+    return photo;
+  }
+
+  /**
+   * @private
+   * @description 取得群組扭曲在 UV 矩形 [u0, u1] x [v0, v1] 上的部分，群組本身的扭曲維持不變
+   * @param {number} u0
+   * @param {number} v0
+   * @param {number} u1
+   * @param {number} v1
+   * @return {Object} 以外接矩形左上角為原點的扭曲座標，以及外接矩形在群組扭曲座標中的位置與尺寸
+   */
+  _cropWarp(u0, v0, u1, v1) {
+    const corners = cloneCoords(this.perspectiveCoords);
+    const { meshCoords, edgeHandles } = this;
+
+    this._remapWarp(u0, v0, u1, v1);
+    this._syncMeshCorners();
+
+    const points = this._getWarpPoints();
+    const left = Math.min(...points.map((point) => point[0]));
+    const top = Math.min(...points.map((point) => point[1]));
+    const right = Math.max(...points.map((point) => point[0]));
+    const bottom = Math.max(...points.map((point) => point[1]));
+    const shift = (coords) =>
+      coords &&
+      coords.map((coord) =>
+        typeof coord[0] === 'number'
+          ? [coord[0] - left, coord[1] - top]
+          : shift(coord)
+      );
+    const warp = {
+      left,
+      top,
+      width: right - left,
+      height: bottom - top,
+      perspectiveCoords: shift(this.perspectiveCoords),
+      meshCoords: shift(this.meshCoords),
+      edgeHandles: shift(this.edgeHandles),
+    };
+
+    // 透視濾鏡與照片共用 perspectiveCoords 陣列，直接還原其中的值；網格與切線控制點則是被替換掉的
+    corners.forEach(([x, y], index) => {
+      this.perspectiveCoords[index][0] = x;
+      this.perspectiveCoords[index][1] = y;
+    });
+    this.meshCoords = meshCoords;
+    this.edgeHandles = edgeHandles;
+
+    return warp;
+  }
+};
+
+/**
+ * @static
+ * @description 以多個物件建立透視群組，物件須已從畫布與群組中移出（畫布座標）
+ * @param {fabric.Object[]} objects 依堆疊順序排列的物件
+ * @param {Object} [options] 群組的 fabric 選項
+ * @param {number} [options.textureScale] 貼圖的解析度倍率
+ * @return {fabric.PerspectiveGroup}
+ */
+fabric.PerspectiveGroup.fromObjects = function (objects, options = {}) {
+  const textureScale = options.textureScale || TEXTURE_SCALE;
+  const objectBounds = getBounds(objects);
+  const texture = renderObjects(objects, objectBounds, textureScale);
+  const group = new fabric.PerspectiveGroup(texture.toDataURL(), {
+    ...options,
+    objects,
+    objectBounds,
+    textureScale,
+    width: texture.width,
+    height: texture.height,
+    scaleX: 1 / textureScale,
+    scaleY: 1 / textureScale,
+  });
+
+  group.setPositionByOrigin(
+    new fabric.Point(objectBounds.left, objectBounds.top),
+    'left',
+    'top'
+  );
+  group.setCoords();
+
+  return group;
+};
+
+/**
+ * @static
+ * @description 以畫布上的多選（ActiveSelection）或群組（fabric.Group）建立透視群組，
+ * 並在畫布上取代原本的物件（維持最下方物件的堆疊位置）
+ * @param {fabric.ActiveSelection|fabric.Group} selection 畫布上的多選或群組
+ * @param {Object} [options] 同 fromObjects()
+ * @return {fabric.PerspectiveGroup}
+ */
+fabric.PerspectiveGroup.fromSelection = function (selection, options) {
+  const canvas = selection.canvas;
+  const stack = canvas.getObjects();
+  const isSelection = selection.type === 'activeSelection';
+  const objects = selection.getObjects().slice();
+  // 多選時是其中的物件在畫布上，群組則是群組本身在畫布上
+  const members = isSelection ? objects : [selection];
+  const index = Math.min(...members.map((object) => stack.indexOf(object)));
+
+  if (isSelection) {
+    // 取消多選後，物件的座標回到畫布座標
+    canvas.discardActiveObject();
+    objects.sort((a, b) => stack.indexOf(a) - stack.indexOf(b));
+  } else {
+    selection.destroy();
+    // 群組中的物件仍參照畫布，移出群組後與從畫布移除的物件一致
+    objects.forEach((object) => delete object.canvas);
+  }
+  members.forEach((object) => canvas.remove(object));
+
+  const group = fabric.PerspectiveGroup.fromObjects(objects, options);
+  canvas.insertAt(group, index);
+  canvas.setActiveObject(group);
+
+  return group;
+};
+
+/**
+ * 取得物件（包含 fabric.Group 中的物件）中所有的照片
+ * 透視群組本身也是照片，其中的物件由透視群組自己的 fromObject() 載入。
+ * @param {fabric.Object[]} objects
+ * @return {fabric.Photo[]}
+ */
+function collectPhotos(objects) {
+  return objects.reduce((photos, object) => {
+    if (object instanceof fabric.Photo) return photos.concat(object);
+    if (object instanceof fabric.Group)
+      return photos.concat(collectPhotos(object.getObjects()));
+    return photos;
+  }, []);
+}
+
+/**
+ * @static
+ * @description 從 object 的描述中建立 fabric.PerspectiveGroup 實例，先還原群組中的物件
+ * 群組中的照片不會加入畫布，因此在這裡載入圖片，解散群組時才能烘焙出照片的內容。
+ * @param {Object} object 要還原的物件描述
+ * @param {Function} callback 建立完成後的回呼函式
+ * @param {Object} [options] 同 fabric.Photo.fromObject()
+ */
+fabric.PerspectiveGroup.fromObject = function (object, callback, options) {
+  fabric.util.enlivenObjects(object.objects || [], (objects) => {
+    const photos = collectPhotos(objects);
+    let pending = photos.length;
+    const build = () =>
+      fabric.Photo.fromObject.call(
+        fabric.PerspectiveGroup,
+        { ...object, objects },
+        callback,
+        options
+      );
+
+    if (!pending) return build();
+
+    photos.forEach((photo) => photo.loadImage(() => --pending || build()));
+  });
+};
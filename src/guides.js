@@ -0,0 +1,165 @@
+import { fabric } from 'fabric';
+import { getHorizon, getVanishingPoints } from './homography';
+
+/**
+ * fabric.PerspectiveGuides 消失點與地平線的輔助線
+ * @class fabric.PerspectiveGuides
+ *
+ * 選取透視模式中的照片或透視平面時，將四邊延伸到兩個消失點，並畫出通過消失點的地平線，
+ * 方便判斷多個物件是否位於同一個平面上。照片已對齊透視平面時，同時畫出平面的輔助線。
+ * 輔助線畫在畫布的重繪結果之上（after:render），不會出現在匯出的圖片與放大鏡中。
+ */
+fabric.PerspectiveGuides = class {
+  /**
+   * 建構子
+   * @param {fabric.Canvas} canvas 要顯示輔助線的畫布
+   * @param {Object} [options]
+   * @param {string} [options.horizontalColor] 水平消失點（上、下兩邊）的顏色
+   * @param {string} [options.verticalColor] 垂直消失點（左、右兩邊）的顏色
+   * @param {string} [options.horizonColor] 地平線的顏色
+   */
+  constructor(canvas, options) {
+    this.canvas = canvas;
+    if (options) Object.assign(this, options);
+
+    this.canvas.on('after:render', this._render);
+  }
+
+  // 是否顯示輔助線
+  enabled = true;
+  horizontalColor = '#ff8c00';
+  verticalColor = '#8a2be2';
+  horizonColor = '#c71585';
+
+  /**
+   * 顯示或隱藏輔助線
+   * @param {boolean} enabled
+   */
+  setEnabled(enabled = true) {
+    this.enabled = enabled;
+    this.canvas.requestRenderAll();
+  }
+
+  /**
+   * 移除畫布事件監聽
+   */
+  dispose() {
+    this.canvas.off('after:render', this._render);
+  }
+
+  /**
+   * @private
+   * 取得要畫出輔助線的四邊形（畫布元素上的座標，含縮放與平移）
+   * @return {number[][][]}
+   */
+  _getQuads() {
+    const active = this.canvas.getActiveObject();
+    const vpt = this.canvas.viewportTransform;
+    const toScreen = (corners) =>
+      corners.map(([x, y]) => {
+        const point = fabric.util.transformPoint(new fabric.Point(x, y), vpt);
+        return [point.x, point.y];
+      });
+
+    if (active instanceof fabric.PerspectivePlane) {
+      return [toScreen(active.getCorners())];
+    }
+
+    // mesh 模式沒有單一的四邊形
+    if (
+      !(active instanceof fabric.Photo) ||
+      !active.perspectiveMode ||
+      !active.perspectiveCoords ||
+      (active.warpMode === 'mesh' && active.meshCoords)
+    ) {
+      return [];
+    }
+
+    const matrix = active._getWarpTransformMatrix();
+    const quads = [
+      active.perspectiveCoords.map(([x, y]) => {
+        const point = fabric.util.transformPoint(
+          new fabric.Point(x, y),
+          matrix
+        );
+        return [point.x, point.y];
+      }),
+    ];
+    const plane = active.getPerspectivePlane();
+    plane && quads.push(toScreen(plane.getCorners()));
+
+    return quads;
+  }
+
+  /**
+   * @private
+   * 只畫在畫布本身的重繪上（toCanvasElement 等離屏繪製也會觸發 after:render）
+   */
+  _render = ({ ctx } = {}) => {
+    if (!this.enabled || !ctx || ctx !== this.canvas.contextContainer) return;
+
+    this._getQuads().forEach((corners) => this._drawGuides(ctx, corners));
+  };
+
+  /**
+   * @private
+   * 畫出四邊形延伸到消失點的線段、消失點與地平線
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number[][]} corners 四個角點（畫布元素上的座標）
+   */
+  _drawGuides(ctx, corners) {
+    const vanishingPoints = getVanishingPoints(corners);
+    const horizon = getHorizon(vanishingPoints);
+
+    ctx.save();
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 4]);
+
+    [
+      [vanishingPoints.horizontal, this.horizontalColor, [0, 1, 3, 2]],
+      [vanishingPoints.vertical, this.verticalColor, [0, 3, 1, 2]],
+    ].forEach(([[x, y, w], color, edges]) => {
+      // 兩邊平行時消失點在無窮遠
+      if (Math.abs(w) <= Math.hypot(x, y) * 1e-9) return;
+
+      const point = [x / w, y / w];
+      const distance = ([px, py]) => Math.hypot(px - point[0], py - point[1]);
+
+      ctx.beginPath();
+      // 每條邊從離消失點較遠的角點延伸到消失點
+      [edges.slice(0, 2), edges.slice(2)].forEach(([a, b]) => {
+        const from =
+          distance(corners[a]) > distance(corners[b]) ? corners[a] : corners[b];
+
+        ctx.moveTo(...from);
+        ctx.lineTo(...point);
+      });
+      ctx.strokeStyle = color;
+      ctx.stroke();
+
+      ctx.beginPath();
+      ctx.arc(point[0], point[1], 5, 0, Math.PI * 2);
+      ctx.fillStyle = color;
+      ctx.fill();
+    });
+
+    if (horizon) {
+      const [a, b, c] = horizon;
+      const { width, height } = this.canvas;
+
+      ctx.beginPath();
+      if (Math.abs(b) > Math.abs(a)) {
+        ctx.moveTo(0, -c / b);
+        ctx.lineTo(width, -(a * width + c) / b);
+      } else {
+        ctx.moveTo(-c / a, 0);
+        ctx.lineTo(-(b * height + c) / a, height);
+      }
+      ctx.strokeStyle = this.horizonColor;
+      ctx.lineWidth = 1.5;
+      ctx.stroke();
+    }
+
+    ctx.restore();
+  }
+};
@@ -0,0 +1,260 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { fabric } from 'fabric';
+import './filter';
+import './photo';
+import './group';
+import './export';
+
+/**
+ * 無瀏覽器 (Headless) 繪製
+ *
+ * 在 Node 中透過 fabric 的 jsdom + node-canvas 環境載入序列化的設計（canvas.toJSON() 的結果），
+ * 以 Canvas2D 濾鏡後端繪製透視扭曲，不需要 GPU 或 WebGL。
+ * 可以將同一份設計套上多個布料樣本，為每個樣本輸出一張商品示意圖。
+ */
+
+// Node 中沒有 WebGL，一律使用 Canvas2D 後端（Perspective 濾鏡的 applyTo2d）
+fabric.filterBackend = new fabric.Canvas2dFilterBackend();
+
+const MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+};
+
+// node-canvas 只能編碼 PNG 與 JPEG，其他格式由 assertOutputFormat() 拒絕
+const OUTPUT_TYPES = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  jpg: 'image/jpeg',
+};
+
+// 設計 JSON 中指向圖片的欄位
+const IMAGE_KEYS = ['src', 'swatchSrc', 'shadingMapSrc'];
+
+/**
+ * 是否為支援的圖片檔
+ * @param {string} file 檔案路徑
+ * @return {boolean}
+ */
+export function isImageFile(file) {
+  return path.extname(file).toLowerCase() in MIME_TYPES;
+}
+
+/**
+ * 確認輸出格式可以在 Node 中編碼
+ * @param {string} format 匯出選項的 format
+ * @throws {Error} 不支援的格式（例如 webp）
+ */
+export function assertOutputFormat(format) {
+  if (!(format in OUTPUT_TYPES)) {
+    throw new Error(
+      `Unsupported output format "${format}" (node-canvas can only encode ${Object.keys(
+        OUTPUT_TYPES
+      ).join(', ')})`
+    );
+  }
+}
+
+/**
+ * 將設計中的圖片網址解析為本機檔案，並讀取為 data URL
+ * - data URL 維持不變
+ * - file:// 網址與絕對路徑直接讀取
+ * - 相對路徑以設計檔所在的資料夾為基準
+ * - http(s) 網址與以 / 開頭的網站路徑，依序在 assetsDir 中尋找完整路徑與檔名
+ * @param {string} src 圖片網址或路徑
+ * @param {Object} options
+ * @param {string} options.baseDir 設計檔所在的資料夾
+ * @param {string} [options.assetsDir] 存放網站圖片的本機資料夾
+ * @return {string} 圖片的 data URL
+ */
+export function resolveImage(src, { baseDir, assetsDir = baseDir }) {
+  if (src.startsWith('data:')) return src;
+
+  let candidates;
+
+  if (src.startsWith('file:')) {
+    candidates = [fileURLToPath(src)];
+  } else if (/^https?:\/\//.test(src) || src.startsWith('/')) {
+    const pathname = decodeURIComponent(
+      new URL(src, 'http://localhost').pathname
+    );
+    candidates = [
+      path.join(assetsDir, pathname),
+      path.join(assetsDir, path.basename(pathname)),
+    ];
+    // 以 / 開頭時也可能是本機的絕對路徑
+    src.startsWith('/') && candidates.unshift(src);
+  } else {
+    candidates = [path.resolve(baseDir, src)];
+  }
+
+  const file = candidates.find((candidate) => fs.existsSync(candidate));
+  if (!file) {
+    throw new Error(
+      `Cannot resolve image "${src}" (tried ${candidates.join(', ')})`
+    );
+  }
+
+  const type = MIME_TYPES[path.extname(file).toLowerCase()] || 'image/png';
+  return `data:${type};base64,${fs.readFileSync(file).toString('base64')}`;
+}
+
+/**
+ * 將設計 JSON 中所有的圖片網址（包含濾鏡與群組內的物件）替換為本機圖片的 data URL
+ * @param {*} value 設計 JSON 或其中的片段（會直接修改）
+ * @param {Object} options 同 resolveImage()
+ * @return {*} value
+ */
+export function resolveImages(value, options) {
+  if (Array.isArray(value)) {
+    value.forEach((item) => resolveImages(item, options));
+  } else if (value && typeof value === 'object') {
+    Object.keys(value).forEach((key) => {
+      if (IMAGE_KEYS.includes(key) && typeof value[key] === 'string') {
+        value[key] = resolveImage(value[key], options);
+      } else {
+        resolveImages(value[key], options);
+      }
+    });
+  }
+
+  return value;
+}
+
+/**
+ * 等待照片載入圖片並重建透視扭曲
+ * 照片加入畫布後就會開始載入圖片，這裡只等待結果。
+ * @param {fabric.Photo} photo
+ * @return {Promise<void>}
+ */
+function whenPhotoLoaded(photo) {
+  return new Promise((resolve) => photo.loadImage(resolve));
+}
+
+/**
+ * 載入設計並等待所有照片完成初始化
+ * 未指定畫布尺寸時，以涵蓋所有物件的範圍（自場景座標原點起算）作為輸出範圍。
+ * @param {Object} design 設計 JSON（圖片需已可由 fabric.util.loadImage 載入，見 resolveImages()）
+ * @param {Object} [options]
+ * @param {number} [options.width] 畫布寬度
+ * @param {number} [options.height] 畫布高度
+ * @return {Promise<fabric.StaticCanvas>}
+ */
+export function loadDesign(design, { width, height } = {}) {
+  const canvas = new fabric.StaticCanvas(null, {
+    enableRetinaScaling: false,
+    renderOnAddRemove: false,
+  });
+
+  return new Promise((resolve) => canvas.loadFromJSON(design, resolve))
+    .then(() =>
+      Promise.all(
+        canvas
+          .getObjects()
+          .filter((object) => object instanceof fabric.Photo)
+          .map(whenPhotoLoaded)
+      )
+    )
+    .then(() => {
+      const rects = canvas
+        .getObjects()
+        .map((object) => object.getBoundingRect(true, true));
+
+      canvas.setDimensions({
+        width:
+          width ||
+          Math.ceil(
+            Math.max(1, ...rects.map((rect) => rect.left + rect.width))
+          ),
+        height:
+          height ||
+          Math.ceil(
+            Math.max(1, ...rects.map((rect) => rect.top + rect.height))
+          ),
+      });
+
+      return canvas;
+    });
+}
+
+/**
+ * 取得要套用樣本的照片
+ * @param {fabric.StaticCanvas} canvas
+ * @param {number[]} [indices] 照片在畫布上所有照片中的索引，省略時選取設計中已有樣本的照片，
+ * 若都沒有樣本則選取所有照片
+ * @return {fabric.Photo[]}
+ */
+export function getSwatchTargets(canvas, indices) {
+  const photos = canvas
+    .getObjects()
+    .filter((object) => object instanceof fabric.Photo);
+
+  if (indices && indices.length) {
+    return indices.map((index) => {
+      if (!photos[index]) throw new Error(`No photo at index ${index}`);
+      return photos[index];
+    });
+  }
+
+  const withSwatch = photos.filter((photo) => photo.swatchSrc);
+  return withSwatch.length ? withSwatch : photos;
+}
+
+/**
+ * 將樣本套用到照片上
+ * @param {fabric.Photo[]} photos
+ * @param {string} src 樣本圖片（data URL）
+ * @return {Promise<void>}
+ */
+export function applySwatch(photos, src) {
+  return Promise.all(
+    photos.map(
+      (photo) =>
+        new Promise((resolve, reject) =>
+          photo.setSwatch(src, (_, isError) =>
+            isError ? reject(new Error('Failed to load swatch')) : resolve()
+          )
+        )
+    )
+  ).then(() => undefined);
+}
+
+/**
+ * 將畫布匯出為圖片檔
+ * @param {fabric.StaticCanvas} canvas
+ * @param {string} file 輸出檔案路徑
+ * @param {Object} [options] 匯出選項，詳見 export.js（output 固定為 data URL）
+ * @return {Promise<void>} 格式不支援或編碼失敗時 reject
+ */
+export function writeImage(canvas, file, options = {}) {
+  const { format = 'png' } = options;
+
+  return new Promise((resolve, reject) => {
+    assertOutputFormat(format);
+    canvas.exportImage(
+      { ...options, output: 'dataURL' },
+      (dataURL, isError) => {
+        // 編碼失敗或畫布沒有像素時（'data:,'）不會有圖片資料
+        const prefix = `data:${OUTPUT_TYPES[format]};base64,`;
+        if (
+          isError ||
+          typeof dataURL !== 'string' ||
+          !dataURL.startsWith(prefix)
+        ) {
+          reject(new Error(`Failed to encode ${file} as ${format}`));
+          return;
+        }
+        resolve(dataURL);
+      }
+    );
+  }).then((dataURL) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, Buffer.from(dataURL.split(',')[1], 'base64'));
+  });
+}
@@ -0,0 +1,297 @@
+import { fabric } from 'fabric';
+import { cloneCoords } from './coords';
+
+// 以 toObject() 序列化的屬性值（clipPath、shadow、漸層等），還原時重新建立實例
+const SERIALIZABLE_TYPES = {
+  shadow: fabric.Shadow,
+  gradient: fabric.Gradient,
+  pattern: fabric.Pattern,
+};
+
+/**
+ * 快照中以 toObject() 序列化的屬性值
+ * 快照不可參照會被修改的物件，否則之後對 clipPath、shadow 等的修改也會改變已記錄的快照。
+ */
+class SerializedValue {
+  /**
+   * @param {string} type 'object'（fabric.Object）或 SERIALIZABLE_TYPES 的鍵值
+   * @param {Object} data toObject() 的結果
+   */
+  constructor(type, data) {
+    this.type = type;
+    this.data = data;
+  }
+}
+
+/**
+ * 複製要存入快照的屬性值：座標陣列深層複製，fabric 的物件與 shadow、漸層等以 toObject() 序列化
+ * @param {*} value
+ * @return {*}
+ */
+function snapshotValue(value) {
+  if (value instanceof fabric.Object) {
+    return new SerializedValue('object', value.toObject());
+  }
+
+  const type = Object.keys(SERIALIZABLE_TYPES).find(
+    (key) => value instanceof SERIALIZABLE_TYPES[key]
+  );
+
+  return type
+    ? new SerializedValue(type, value.toObject())
+    : cloneCoords(value);
+}
+
+/**
+ * 由快照中的值建立新的屬性值
+ * @param {*} value snapshotValue() 的結果
+ * @param {function(*): void} callback 以還原後的值呼叫（fabric.Object 需要非同步建立）
+ */
+function restoreValue(value, callback) {
+  if (!(value instanceof SerializedValue)) {
+    callback(cloneCoords(value));
+  } else if (value.type === 'object') {
+    fabric.util.enlivenObjects([value.data], ([object]) => callback(object));
+  } else {
+    callback(new SERIALIZABLE_TYPES[value.type](value.data));
+  }
+}
+
+// 快照中識別物件用的編號
+const objectIds = new WeakMap();
+let nextObjectId = 1;
+
+/**
+ * 取得物件在快照中的編號
+ * @param {fabric.Object} object
+ * @return {number}
+ */
+function getObjectId(object) {
+  objectIds.has(object) || objectIds.set(object, nextObjectId++);
+  return objectIds.get(object);
+}
+
+/**
+ * fabric.CanvasHistory 畫布的 undo/redo 歷史紀錄
+ * @class fabric.CanvasHistory
+ *
+ * 每一筆紀錄是畫布上的物件（依堆疊順序）與其 stateProperties 的快照（fabric.Photo 額外包含透視座標與模式），
+ * clipPath、shadow 等物件型別的屬性以 toObject() 序列化。
+ * 以下時機會自動記錄：
+ * - 開始拖曳控制點或移動、縮放、旋轉物件時（before:transform）
+ * - 變形結束時（object:modified，包含透視控制點的拖曳）
+ * - 新增或移除物件之後（object:added、object:removed，同一段程式中的多次新增與移除合併為一筆）
+ * 其他操作（例如切換透視模式）可呼叫 record() 手動記錄。
+ *
+ * 還原時會將屬性寫回物件，並加回被移除的物件、移除之後才新增的物件；
+ * fabric.Photo 會重新套用濾鏡並重建控制點。
+ * 不會匯出的物件屬性（excludeFromExport，例如區域裁切即時產生的 clipPath）不會記錄。
+ */
+fabric.CanvasHistory = class {
+  /**
+   * 建構子
+   * @param {fabric.Canvas} canvas 要記錄的畫布
+   * @param {Object} [options]
+   * @param {number} [options.maxSize] 最多保留的紀錄筆數
+   */
+  constructor(canvas, options) {
+    this.canvas = canvas;
+    if (options && options.maxSize) this.maxSize = options.maxSize;
+
+    this.canvas.on('before:transform', this._onTransformStart);
+    this.canvas.on('object:modified', this._onTransformEnd);
+    this.canvas.on('object:added', this._onObjectsChanged);
+    this.canvas.on('object:removed', this._onObjectsChanged);
+
+    // 記錄初始狀態，讓第一次的修改可以被復原
+    this.record();
+  }
+
+  // 最多保留的紀錄筆數
+  maxSize = 100;
+  // 快照堆疊
+  states = [];
+  // 目前所在的快照索引
+  index = -1;
+  // 還原中時不記錄新的快照
+  isRestoring = false;
+  // 是否已排定在目前的程式執行完後記錄（新增、移除物件時）
+  isRecordScheduled = false;
+
+  /**
+   * 記錄目前畫布的狀態
+   * 若與目前的快照相同則不會新增，並會捨棄目前位置之後（可 redo）的紀錄。
+   */
+  record() {
+    if (this.isRestoring) return;
+
+    const snapshot = this._takeSnapshot();
+    const current = this.states[this.index];
+    if (current && current.key === snapshot.key) return;
+
+    this.states = this.states.slice(0, this.index + 1);
+    this.states.push(snapshot);
+
+    if (this.states.length > this.maxSize) this.states.shift();
+    this.index = this.states.length - 1;
+
+    this.canvas.fire('history:changed', { history: this });
+  }
+
+  /**
+   * 回到上一個狀態
+   * @return {boolean} 是否有執行復原
+   */
+  undo() {
+    if (!this.canUndo()) return false;
+
+    this.index -= 1;
+    this._restore(this.states[this.index]);
+
+    return true;
+  }
+
+  /**
+   * 重做下一個狀態
+   * @return {boolean} 是否有執行重做
+   */
+  redo() {
+    if (!this.canRedo()) return false;
+
+    this.index += 1;
+    this._restore(this.states[this.index]);
+
+    return true;
+  }
+
+  /**
+   * @return {boolean} 是否可以復原
+   */
+  canUndo() {
+    return this.index > 0;
+  }
+
+  /**
+   * @return {boolean} 是否可以重做
+   */
+  canRedo() {
+    return this.index < this.states.length - 1;
+  }
+
+  /**
+   * 清除所有紀錄，並以目前狀態作為新的起點
+   */
+  clear() {
+    this.states = [];
+    this.index = -1;
+    this.record();
+  }
+
+  /**
+   * 移除畫布事件監聽
+   */
+  dispose() {
+    this.canvas.off('before:transform', this._onTransformStart);
+    this.canvas.off('object:modified', this._onTransformEnd);
+    this.canvas.off('object:added', this._onObjectsChanged);
+    this.canvas.off('object:removed', this._onObjectsChanged);
+  }
+
+  /**
+   * @private
+   * 變形開始前先記錄，確保未被記錄的變更也能被復原
+   */
+  _onTransformStart = () => {
+    this.record();
+  };
+
+  /**
+   * @private
+   */
+  _onTransformEnd = () => {
+    this.record();
+  };
+
+  /**
+   * @private
+   * 新增或移除物件後，等目前的程式執行完再記錄（例如解散群組時移除群組並加入多個物件）
+   */
+  _onObjectsChanged = () => {
+    if (this.isRestoring || this.isRecordScheduled) return;
+
+    this.isRecordScheduled = true;
+    Promise.resolve().then(() => {
+      this.isRecordScheduled = false;
+      this.record();
+    });
+  };
+
+  /**
+   * @private
+   * 擷取畫布上所有物件的狀態
+   * @return {{ entries: Object[], key: string }} key 用於比較兩個快照是否相同
+   */
+  _takeSnapshot() {
+    const entries = this.canvas.getObjects().map((object) => {
+      const state = {};
+
+      object.stateProperties.forEach((prop) => {
+        const value = object[prop];
+        if (value && value.excludeFromExport) return;
+
+        state[prop] = snapshotValue(value);
+      });
+
+      return { object, state };
+    });
+
+    return {
+      entries,
+      key: JSON.stringify(
+        entries.map((entry) => [getObjectId(entry.object), entry.state])
+      ),
+    };
+  }
+
+  /**
+   * @private
+   * 將快照寫回物件，並重建 fabric.Photo 的濾鏡與控制點
+   * @param {Object} snapshot _takeSnapshot() 的結果
+   */
+  _restore(snapshot) {
+    const canvas = this.canvas;
+    const objects = snapshot.entries.map((entry) => entry.object);
+
+    this.isRestoring = true;
+    canvas.discardActiveObject();
+
+    // 移除快照之後才新增的物件，並依快照的堆疊順序加回被移除的物件
+    canvas
+      .getObjects()
+      .filter((object) => !objects.includes(object))
+      .forEach((object) => canvas.remove(object));
+    objects.forEach((object, index) => {
+      object.canvas === canvas
+        ? canvas.moveTo(object, index)
+        : canvas.insertAt(object, index);
+    });
+
+    snapshot.entries.forEach(({ object, state }) => {
+      Object.keys(state).forEach((prop) => {
+        restoreValue(state[prop], (value) => {
+          object.set(prop, value);
+          // clipPath 等需要非同步建立的值完成時重新繪製
+          object.dirty = true;
+          canvas.requestRenderAll();
+        });
+      });
+
+      object.refreshPerspective && object.refreshPerspective();
+      object.setCoords();
+    });
+
+    this.isRestoring = false;
+    canvas.requestRenderAll();
+    canvas.fire('history:changed', { history: this });
+  }
+};
@@ -0,0 +1,186 @@
+/**
+ * 單應性矩陣 (Homography) 工具
+ *
+ * 以 3x3 矩陣描述平面上的投影變換，矩陣以列優先 (row-major) 的長度 9 陣列表示：
+ * [a, b, c,
+ *  d, e, f,
+ *  g, h, i]
+ *
+ * 透視濾鏡的 projective 模式會用它將單位正方形 (UV 空間) 映射到四個透視控制點，
+ * 使畫面呈現真實平面透視下的縮短效果。
+ */
+
+/**
+ * 計算將單位正方形映射到任意四邊形的單應性矩陣
+ * 角點順序與 verb.geom.NurbsSurface.byCorners 相同：
+ * (0,0) → 左上、(1,0) → 右上、(1,1) → 右下、(0,1) → 左下
+ * @param {number[][]} corners 四邊形的四個角點 [[x, y], ...]
+ * @return {number[]} 3x3 單應性矩陣
+ */
+export function squareToQuad(corners) {
+  const [[x0, y0], [x1, y1], [x2, y2], [x3, y3]] = corners;
+  const sx = x0 - x1 + x2 - x3;
+  const sy = y0 - y1 + y2 - y3;
+
+  // 四邊形為平行四邊形時，退化為仿射變換
+  if (sx === 0 && sy === 0) {
+    return [x1 - x0, x3 - x0, x0, y1 - y0, y3 - y0, y0, 0, 0, 1];
+  }
+
+  const dx1 = x1 - x2;
+  const dx2 = x3 - x2;
+  const dy1 = y1 - y2;
+  const dy2 = y3 - y2;
+  const den = dx1 * dy2 - dx2 * dy1;
+  const g = (sx * dy2 - dx2 * sy) / den;
+  const h = (dx1 * sy - sx * dy1) / den;
+
+  return [
+    x1 - x0 + g * x1,
+    x3 - x0 + h * x3,
+    x0,
+    y1 - y0 + g * y1,
+    y3 - y0 + h * y3,
+    y0,
+    g,
+    h,
+    1,
+  ];
+}
+
+/**
+ * 計算 3x3 矩陣的反矩陣
+ * @param {number[]} m 3x3 矩陣
+ * @return {number[]|null} 反矩陣，若矩陣不可逆則回傳 null
+ */
+export function invert(m) {
+  const [a, b, c, d, e, f, g, h, i] = m;
+  const A = e * i - f * h;
+  const B = f * g - d * i;
+  const C = d * h - e * g;
+  const det = a * A + b * B + c * C;
+
+  if (det === 0) return null;
+
+  return [
+    A / det,
+    (c * h - b * i) / det,
+    (b * f - c * e) / det,
+    B / det,
+    (a * i - c * g) / det,
+    (c * d - a * f) / det,
+    C / det,
+    (b * g - a * h) / det,
+    (a * e - b * d) / det,
+  ];
+}
+
+/**
+ * 以單應性矩陣轉換一個點
+ * @param {number[]} m 3x3 矩陣
+ * @param {number} x
+ * @param {number} y
+ * @return {number[]} 轉換後的點 [x, y]
+ */
+export function transformPoint(m, x, y) {
+  const w = m[6] * x + m[7] * y + m[8];
+
+  return [(m[0] * x + m[1] * y + m[2]) / w, (m[3] * x + m[4] * y + m[5]) / w];
+}
+
+/**
+ * 齊次座標的外積：兩點的外積為通過兩點的直線，兩條直線的外積為交點
+ * 點與直線皆以 [x, y, w] 表示，w 為 0 的點位於無窮遠（表示方向）。
+ * @param {number[]} a
+ * @param {number[]} b
+ * @return {number[]}
+ */
+export function cross(a, b) {
+  return [
+    a[1] * b[2] - a[2] * b[1],
+    a[2] * b[0] - a[0] * b[2],
+    a[0] * b[1] - a[1] * b[0],
+  ];
+}
+
+/**
+ * 計算四邊形的兩個消失點（齊次座標）
+ * - horizontal：上、下兩邊的交點（圖片水平方向的消失點）
+ * - vertical：左、右兩邊的交點（圖片垂直方向的消失點）
+ * 兩邊平行時消失點位於無窮遠，w 為 0。
+ * @param {number[][]} corners 四邊形的四個角點（左上、右上、右下、左下）
+ * @return {{ horizontal: number[], vertical: number[] }}
+ */
+export function getVanishingPoints(corners) {
+  const [p0, p1, p2, p3] = corners.map(([x, y]) => [x, y, 1]);
+
+  return {
+    horizontal: cross(cross(p0, p1), cross(p3, p2)),
+    vertical: cross(cross(p0, p3), cross(p1, p2)),
+  };
+}
+
+/**
+ * 計算通過兩個消失點的地平線（齊次座標的直線 [a, b, c]，即 ax + by + c = 0）
+ * @param {{ horizontal: number[], vertical: number[] }} vanishingPoints getVanishingPoints() 的結果
+ * @return {number[]|null} 地平線，兩個消失點都在無窮遠（四邊形為平行四邊形）時回傳 null
+ */
+export function getHorizon({ horizontal, vertical }) {
+  const line = cross(horizontal, vertical);
+  const scale = Math.hypot(...horizontal) * Math.hypot(...vertical);
+
+  return Math.hypot(line[0], line[1]) > scale * 1e-9 ? line : null;
+}
+
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function distance(a, b) {
+  return Math.hypot(a[0] - b[0], a[1] - b[1]);
+}
+
+/**
+ * 估計四邊形在真實世界中的長寬比（寬 / 高）
+ * 假設相機的主點位於圖片中央、像素為正方形，由兩個消失點推算焦距後還原矩形的比例
+ * （Zhang & He, "Whiteboard scanning and image enhancement"）。
+ * 兩組對邊皆平行或無法估計焦距時，改用上下兩邊與左右兩邊平均長度的比例。
+ * @param {number[][]} corners 四個角點（左上、右上、右下、左下），圖片像素
+ * @param {{ width: number, height: number }} size 圖片尺寸，用於決定主點
+ * @return {number}
+ */
+export function estimateAspectRatio(corners, { width, height }) {
+  const [m1, m2, m4, m3] = corners.map(([x, y]) => [x, y, 1]);
+  const u0 = width / 2;
+  const v0 = height / 2;
+  const m14 = cross(m1, m4);
+  const k2 = dot(m14, m3) / dot(cross(m2, m4), m3);
+  const k3 = dot(m14, m2) / dot(cross(m3, m4), m2);
+  const n2 = m2.map((value, index) => k2 * value - m1[index]);
+  const n3 = m3.map((value, index) => k3 * value - m1[index]);
+  const focal2 =
+    -(
+      n2[0] * n3[0] -
+      (n2[0] * n3[2] + n2[2] * n3[0]) * u0 +
+      n2[2] * n3[2] * u0 * u0 +
+      n2[1] * n3[1] -
+      (n2[1] * n3[2] + n2[2] * n3[1]) * v0 +
+      n2[2] * n3[2] * v0 * v0
+    ) /
+    (n2[2] * n3[2]);
+
+  if (focal2 > 0 && isFinite(focal2)) {
+    const focal = Math.sqrt(focal2);
+    const length = (n) =>
+      Math.hypot((n[0] - u0 * n[2]) / focal, (n[1] - v0 * n[2]) / focal, n[2]);
+    const ratio = length(n2) / length(n3);
+
+    if (ratio > 0 && isFinite(ratio)) return ratio;
+  }
+
+  const [p0, p1, p2, p3] = corners;
+  return (
+    (distance(p0, p1) + distance(p3, p2)) /
+    (distance(p0, p3) + distance(p1, p2))
+  );
+}
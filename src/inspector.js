@@ -0,0 +1,148 @@
+import { fabric } from 'fabric';
+
+// 面板中顯示的透視角點
+const CORNER_NAMES = ['prs1', 'prs2', 'prs3', 'prs4'];
+
+/**
+ * fabric.PerspectiveInspector 透視角點的數值面板
+ * @class fabric.PerspectiveInspector
+ *
+ * 以數字欄位顯示選取中照片四個透視角點在畫布上的座標（不含畫布縮放與平移），並與畫布雙向同步：
+ * - 拖曳或以鍵盤移動控制點時，欄位跟著更新（正在編輯的欄位除外）
+ * - 修改欄位時移動控制點，完成修改（change）時觸發畫布的 'object:modified'，讓歷史紀錄記錄
+ * 欄位的小數位數隨畫布縮放增加，放大時可以調整到更細的位置。
+ * 未選取透視模式中的照片，或照片為 mesh 模式時，欄位會停用。
+ */
+fabric.PerspectiveInspector = class {
+  /**
+   * 建構子
+   * @param {fabric.Canvas} canvas 要同步的畫布
+   * @param {HTMLElement} container 放置面板的元素
+   */
+  constructor(canvas, container) {
+    this.canvas = canvas;
+    this.container = container;
+
+    this._build();
+    this.canvas.on('after:render', this._update);
+  }
+
+  // 每個角點的欄位 { name, row, x, y }
+  fields = [];
+  // 目前顯示的照片
+  target = null;
+
+  /**
+   * 移除畫布事件監聽與面板內容
+   */
+  dispose() {
+    this.canvas.off('after:render', this._update);
+    this.container.textContent = '';
+  }
+
+  /**
+   * @private
+   * 建立每個角點的 x、y 欄位
+   */
+  _build() {
+    this.container.classList.add('perspective-inspector');
+
+    this.fields = CORNER_NAMES.map((name) => {
+      const row = document.createElement('div');
+      const label = document.createElement('span');
+      const [x, y] = ['x', 'y'].map((axis) => {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.title = `${name} ${axis}`;
+        input.addEventListener('focus', () => this._onFocus(name));
+        input.addEventListener('input', () => this._onInput(name));
+        input.addEventListener('change', this._onChange);
+        // 離開欄位時以實際的位置（可能被角點限制調整過）更新欄位
+        input.addEventListener('blur', () => this.canvas.requestRenderAll());
+        return input;
+      });
+
+      row.className = 'perspective-inspector__row';
+      label.textContent = name;
+      row.append(label, x, y);
+      this.container.appendChild(row);
+
+      return { name, row, x, y };
+    });
+  }
+
+  /**
+   * @private
+   * 畫布重繪後，以選取中照片的角點位置更新欄位
+   */
+  _update = () => {
+    const active = this.canvas.getActiveObject();
+    const target =
+      active instanceof fabric.Photo && active.perspectiveMode ? active : null;
+    const names = target ? target.getPointControlNames() : [];
+    // 放大 10 倍以上時顯示 1 位小數、100 倍以上 2 位，依此類推
+    const digits = Math.max(0, Math.ceil(Math.log10(this.canvas.getZoom())));
+
+    this.target = target;
+    this.container.classList.toggle('is-disabled', !target);
+
+    this.fields.forEach(({ name, row, x, y }) => {
+      const point =
+        names.includes(name) && target.getControlPointPosition(name, true);
+
+      row.classList.toggle(
+        'is-focused',
+        !!target && target.focusedControl === name
+      );
+
+      [
+        [x, point && point.x],
+        [y, point && point.y],
+      ].forEach(([input, value]) => {
+        input.disabled = !point;
+        input.step = 10 ** -digits;
+
+        if (!point) {
+          input.value = '';
+        } else if (document.activeElement !== input) {
+          const text = value.toFixed(digits);
+          input.value !== text && (input.value = text);
+        }
+      });
+    });
+  };
+
+  /**
+   * @private
+   * 編輯欄位時，讓對應的控制點取得鍵盤焦點
+   * @param {string} name 控制點名稱
+   */
+  _onFocus(name) {
+    this.target &&
+      this.target.focusedControl !== name &&
+      this.target.focusControl(name);
+  }
+
+  /**
+   * @private
+   * 欄位數值改變時移動控制點
+   * @param {string} name 控制點名稱
+   */
+  _onInput(name) {
+    const { x, y } = this.fields.find((field) => field.name === name);
+    const left = parseFloat(x.value);
+    const top = parseFloat(y.value);
+
+    if (!this.target || !isFinite(left) || !isFinite(top)) return;
+
+    this.target.setControlPointPosition(name, left, top, true);
+  }
+
+  /**
+   * @private
+   * 完成修改時通知畫布，讓歷史紀錄記錄這次的變更
+   */
+  _onChange = () => {
+    this.target && this.canvas.fire('object:modified', { target: this.target });
+  };
+};
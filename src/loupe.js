@@ -0,0 +1,169 @@
+import { fabric } from 'fabric';
+
+/**
+ * fabric.Loupe 拖曳透視控制點時的放大鏡
+ * @class fabric.Loupe
+ *
+ * 拖曳 'perspective-coords' 控制點時，在指標旁顯示指標下方畫面的放大圖與十字準線，
+ * 讓游標與控制點不會擋住要對齊的像素（例如沙發的邊緣）。
+ * 放大圖預設隱藏正在拖曳的照片，只顯示底下的畫面，並以線條疊上照片目前扭曲後的外框。
+ * 放大圖以畫面的縮放為基準，畫布放大時放大鏡內的畫面也跟著放大。
+ */
+fabric.Loupe = class {
+  /**
+   * 建構子
+   * @param {fabric.Canvas} canvas 要顯示放大鏡的畫布
+   * @param {Object} [options]
+   * @param {number} [options.magnification] 放大倍率（相對於目前的畫面）
+   * @param {number} [options.size] 放大鏡的邊長（CSS 像素）
+   * @param {boolean} [options.showEdges] 是否疊上照片扭曲後的外框
+   * @param {boolean} [options.hideTarget] 是否在放大圖中隱藏正在拖曳的照片
+   */
+  constructor(canvas, options) {
+    this.canvas = canvas;
+    if (options) Object.assign(this, options);
+
+    this.element = fabric.util.createCanvasElement();
+    Object.assign(this.element.style, {
+      position: 'absolute',
+      display: 'none',
+      width: `${this.size}px`,
+      height: `${this.size}px`,
+      borderRadius: '50%',
+      boxShadow: '0 0 0 2px white, 0 2px 8px rgba(0, 0, 0, 0.5)',
+      pointerEvents: 'none',
+      zIndex: 20,
+    });
+    this.canvas.wrapperEl.appendChild(this.element);
+
+    this.canvas.on('mouse:down', this._onMouseMove);
+    this.canvas.on('mouse:move', this._onMouseMove);
+    this.canvas.on('mouse:up', this._onMouseUp);
+  }
+
+  // 放大倍率（相對於目前的畫面）
+  magnification = 4;
+  // 放大鏡的邊長（CSS 像素）
+  size = 160;
+  // 放大鏡與指標的距離（CSS 像素）
+  offset = 24;
+  // 是否疊上照片扭曲後的外框
+  showEdges = true;
+  // 是否在放大圖中隱藏正在拖曳的照片
+  hideTarget = true;
+
+  /**
+   * 設定放大倍率
+   * @param {number} magnification 放大倍率，至少為 1
+   */
+  setMagnification(magnification) {
+    this.magnification = Math.max(1, magnification);
+  }
+
+  /**
+   * 移除畫布事件監聽與放大鏡元素
+   */
+  dispose() {
+    this.canvas.off('mouse:down', this._onMouseMove);
+    this.canvas.off('mouse:move', this._onMouseMove);
+    this.canvas.off('mouse:up', this._onMouseUp);
+    this.element.remove();
+  }
+
+  /**
+   * @private
+   * 拖曳透視控制點時（控制點已更新後）重新繪製放大鏡
+   */
+  _onMouseMove = ({ transform, pointer }) => {
+    if (!transform || transform.action !== 'perspective-coords') return;
+
+    this._render(transform.target, pointer);
+  };
+
+  /**
+   * @private
+   */
+  _onMouseUp = () => {
+    this.element.style.display = 'none';
+  };
+
+  /**
+   * @private
+   * 繪製指標下方的放大圖、照片外框與十字準線，並將放大鏡移到指標旁
+   * @param {fabric.Object} target 正在拖曳的物件
+   * @param {fabric.Point} pointer 指標在畫布元素上的位置（含縮放與平移）
+   */
+  _render(target, pointer) {
+    const { size, magnification } = this;
+    const ratio = fabric.devicePixelRatio;
+    const half = size / 2;
+    // 放大鏡涵蓋的畫面範圍（畫布元素上的 CSS 像素）
+    const span = size / magnification;
+    const el = this.element;
+    const ctx = el.getContext('2d');
+    const visible = target.visible;
+
+    el.width = size * ratio;
+    el.height = size * ratio;
+
+    // 只繪製指標附近的範圍（視窗外的物件會被略過），輸出尺寸即為放大鏡的像素尺寸
+    this.hideTarget && (target.visible = false);
+    const snapshot = this.canvas.toCanvasElement(magnification * ratio, {
+      left: pointer.x - span / 2,
+      top: pointer.y - span / 2,
+      width: span,
+      height: span,
+    });
+    target.visible = visible;
+
+    ctx.save();
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, el.width, el.height);
+    ctx.drawImage(snapshot, 0, 0);
+    ctx.scale(ratio, ratio);
+
+    // 照片目前扭曲後的外框
+    const outline =
+      this.showEdges && target.getWarpOutline && target.getWarpOutline();
+    if (outline) {
+      ctx.beginPath();
+      outline.forEach((point, index) => {
+        const x = (point.x - pointer.x) * magnification + half;
+        const y = (point.y - pointer.y) * magnification + half;
+        index ? ctx.lineTo(x, y) : ctx.moveTo(x, y);
+      });
+      ctx.closePath();
+      ctx.strokeStyle = 'green';
+      ctx.lineWidth = 1;
+      ctx.stroke();
+    }
+
+    // 十字準線（白色外框讓準線在深色背景上也看得清楚）
+    ctx.beginPath();
+    ctx.moveTo(half, 0);
+    ctx.lineTo(half, size);
+    ctx.moveTo(0, half);
+    ctx.lineTo(size, half);
+    ctx.strokeStyle = 'white';
+    ctx.lineWidth = 3;
+    ctx.stroke();
+    ctx.strokeStyle = 'red';
+    ctx.lineWidth = 1;
+    ctx.stroke();
+    ctx.restore();
+
+    // 預設顯示在指標右上方，超出畫布時改到另一側
+    const left =
+      pointer.x + this.offset + size > this.canvas.width
+        ? pointer.x - this.offset - size
+        : pointer.x + this.offset;
+    const top =
+      pointer.y - this.offset - size < 0
+        ? pointer.y + this.offset
+        : pointer.y - this.offset - size;
+
+    el.style.left = `${left}px`;
+    el.style.top = `${top}px`;
+    el.style.display = 'block';
+  }
+};
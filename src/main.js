@@ -2,11 +2,20 @@ import { fabric } from 'fabric';
 import './style.css';
 import './photo';
 import './filter';
+import './history';
+import './segmentation';
+import './export';
+import './inspector';
+import './loupe';
+import './plane';
+import './guides';
+import './group';
+import './animation';
 import sofaImage from './Sofa1.png';
 
 fabric.textureSize = 4096;
-fabric.filterBackend = new fabric.WebglFilterBackend();
-fabric.isWebglSupported(fabric.textureSize);
+// 依據瀏覽器是否支援 WebGL 自動選擇濾鏡後端，不支援時退回 Canvas2dFilterBackend
+fabric.filterBackend = fabric.initFilterBackend();
 
 const canvas = new fabric.Canvas(document.getElementById('canvas'), {
   backgroundColor: 'white',
@@ -32,19 +41,111 @@ const photo = new fabric.Photo(sofaImage, {
 canvas.add(photo);
 canvas.setActiveObject(photo);
 
+// --- Undo / Redo ---
+const history = new fabric.CanvasHistory(canvas);
+
+// 圖片載入並初始化透視座標後，以此狀態作為歷史紀錄的起點
+photo.on('image:loaded', () => history.clear());
+
+// 事件是否來自可輸入文字的元素（交給瀏覽器處理原生的編輯與復原）
+const isEditable = (element) =>
+  element instanceof HTMLInputElement ||
+  element instanceof HTMLTextAreaElement ||
+  (element instanceof HTMLElement && element.isContentEditable);
+
+// Ctrl+Z 復原、Ctrl+Shift+Z 重做（macOS 使用 Cmd）
+document.addEventListener('keydown', (e) => {
+  if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+  if (isEditable(e.target)) return;
+
+  e.preventDefault();
+  e.shiftKey ? history.redo() : history.undo();
+});
+
+// 透視模式下以鍵盤操作控制點：Tab 切換、方向鍵移動 1px（Shift 為 10px）、Esc 取消焦點
+document.addEventListener('keydown', (e) => {
+  const target = canvas.getActiveObject();
+  if (!(target instanceof fabric.Photo)) return;
+  // 在數值面板的欄位中輸入時不處理
+  if (isEditable(e.target) || !target.onKeyDown(e)) return;
+
+  e.preventDefault();
+  // 讓歷史紀錄記錄移動後的狀態
+  e.key.startsWith('Arrow') && canvas.fire('object:modified', { target });
+});
+
+// 透視角點的數值面板
+new fabric.PerspectiveInspector(canvas, document.getElementById('inspector'));
+
+// 拖曳透視控制點時顯示放大鏡
+new fabric.Loupe(canvas, { magnification: 4 });
+
+// 選取透視中的照片或透視平面時，顯示消失點與地平線
+new fabric.PerspectiveGuides(canvas);
+
+// --- Segmentation mask ---
+// 選擇色塊分割遮罩圖片後，懸停與點擊照片上的區域會高亮顯示（對應選取中的照片，未選取時為預設的照片）
+const maskInput = document.getElementById('maskInput');
+let segmentationMask = null;
+
+document
+  .getElementById('maskButton')
+  .addEventListener('click', () => maskInput.click());
+
+maskInput.addEventListener('change', () => {
+  const file = maskInput.files[0];
+  if (!file) return;
+
+  const active = canvas.getActiveObject();
+  const target = active instanceof fabric.Photo ? active : photo;
+  const url = URL.createObjectURL(file);
+
+  segmentationMask && segmentationMask.dispose();
+  segmentationMask = new fabric.SegmentationMask(canvas, target);
+  segmentationMask.load(url, () => URL.revokeObjectURL(url));
+  maskInput.value = '';
+});
+
 // 假設我們要透過 index.html 中的按鈕來執行 togglePerspective
 const toggleButton = document.getElementById('toggleButton');
 
-// 監聽按鈕點擊事件
+// 監聽按鈕點擊事件：切換選取中照片的透視模式，未選取照片時切換預設的照片
 toggleButton.addEventListener('click', () => {
-  const currentMode = photo.perspectiveMode;
-  console.log('currentMode:', currentMode);
-  photo.togglePerspective(!currentMode);
+  const active = canvas.getActiveObject();
+
+  // 多選或群組時，先合成為一個透視群組，以同一組透視角點扭曲
+  if (active && ['activeSelection', 'group'].includes(active.type)) {
+    const group = fabric.PerspectiveGroup.fromSelection(active);
+    // 群組的貼圖載入並初始化透視座標後才能進入透視模式
+    group.on('image:loaded', () => {
+      group.togglePerspective(true);
+      history.record();
+    });
+    return;
+  }
+
+  const target = active instanceof fabric.Photo ? active : photo;
+  target.togglePerspective(!target.perspectiveMode);
+  history.record();
 
   // 最後請求重新渲染 canvas
   canvas.requestRenderAll();
 });
 
+// 按鈕以 aria-pressed 顯示選取中的照片（未選取時為預設的照片）是否在透視模式中
+function updateToggleButton() {
+  const active = canvas.getActiveObject();
+  const target = active instanceof fabric.Photo ? active : photo;
+
+  toggleButton.setAttribute('aria-pressed', String(target.perspectiveMode));
+}
+
+canvas.on('perspective:modechange', updateToggleButton);
+canvas.on('selection:created', updateToggleButton);
+canvas.on('selection:updated', updateToggleButton);
+canvas.on('selection:cleared', updateToggleButton);
+updateToggleButton();
+
 // --- Zoom Functionality ---
 const zoomLevelDiv = document.getElementById('zoomLevel');
 
@@ -69,3 +170,139 @@ canvas.on('mouse:wheel', function (opt) {
 
 // Initial zoom display
 updateZoomDisplay();
+
+// --- Rectify ---
+// 第一次點擊時在照片上放置透視平面，拖曳四個角點框出斜拍的區域；
+// 再次點擊時將框出的區域攤平成新的矩形照片，放在原照片的右側
+const rectifyButton = document.getElementById('rectifyButton');
+let rectifyPlane = null;
+
+rectifyButton.addEventListener('click', () => {
+  const bounds = photo.getBoundingRect(true, true);
+
+  if (!rectifyPlane) {
+    const { left, top, width, height } = bounds;
+    rectifyPlane = new fabric.PerspectivePlane([
+      [left + width / 4, top + height / 4],
+      [left + (width * 3) / 4, top + height / 4],
+      [left + (width * 3) / 4, top + (height * 3) / 4],
+      [left + width / 4, top + (height * 3) / 4],
+    ]);
+    canvas.add(rectifyPlane);
+    canvas.setActiveObject(rectifyPlane);
+    rectifyButton.innerText = 'unwarp';
+    return;
+  }
+
+  const points = rectifyPlane
+    .getCorners()
+    .map(([x, y]) => photo.canvasToSource(x, y, true));
+
+  canvas.remove(rectifyPlane);
+  rectifyPlane = null;
+  rectifyButton.innerText = 'rectify';
+
+  // 四個點都必須在照片上
+  if (points.some((point) => !point)) return;
+
+  const rectified = photo.rectify(
+    points.map((point) => [point.x, point.y]),
+    {},
+    { left: bounds.left + bounds.width + 20, top: bounds.top }
+  );
+  canvas.add(rectified);
+  canvas.setActiveObject(rectified);
+  history.record();
+});
+
+// --- Ungroup ---
+// 解散選取中的透視群組，群組內的物件依群組目前的扭曲放回畫布
+document.getElementById('ungroupButton').addEventListener('click', () => {
+  const active = canvas.getActiveObject();
+  if (!(active instanceof fabric.PerspectiveGroup)) return;
+
+  active.ungroup();
+  history.record();
+});
+
+// --- Animate ---
+// 讓選取中的照片（未選取時為預設的照片）從上方平放的狀態「落」到目前的透視狀態
+document.getElementById('animateButton').addEventListener('click', () => {
+  const active = canvas.getActiveObject();
+  const target = active instanceof fabric.Photo ? active : photo;
+  const to = target.getPerspectiveState();
+  if (!to) return;
+
+  // 起點為照片目前的外框（沒有扭曲的矩形），往上移 300
+  const from = {
+    ...to,
+    perspectiveCoords: target
+      .getCoords(true, true)
+      .map((point) => [point.x, point.y - 300]),
+    meshCoords: null,
+    edgeHandles: null,
+  };
+
+  target.animatePerspective(to, {
+    from,
+    duration: 1200,
+    easing: 'easeOutBounce',
+    onComplete: () => history.record(),
+  });
+});
+
+// --- Perspective plane ---
+// 將選取中的照片對齊到畫布上的透視平面（沒有平面時以照片目前的四邊形建立一個），
+// 拖曳平面的角點調整消失點；再次點擊時取消對齊
+const planeButton = document.getElementById('planeButton');
+
+function getSelectedPhoto() {
+  const active = canvas.getActiveObject();
+  return active instanceof fabric.Photo ? active : null;
+}
+
+function updatePlaneButton() {
+  const target = getSelectedPhoto();
+
+  planeButton.disabled = !target || !target.perspectiveCoords;
+  planeButton.innerText =
+    target && target.getPerspectivePlane() ? 'detach' : 'plane';
+}
+
+planeButton.addEventListener('click', () => {
+  const target = getSelectedPhoto();
+  if (!target || !target.perspectiveCoords) return;
+
+  if (target.getPerspectivePlane()) {
+    target.detachFromPlane();
+  } else {
+    let plane = canvas
+      .getObjects()
+      .find(
+        (object) =>
+          object instanceof fabric.PerspectivePlane && object !== rectifyPlane
+      );
+
+    if (plane) {
+      target.attachToPlane(plane);
+    } else {
+      plane = new fabric.PerspectivePlane(target.getPerspective());
+      canvas.add(plane);
+      // 平面放在最下層，不會擋住照片；選取平面以調整角點
+      canvas.sendToBack(plane);
+      target.attachToPlane(plane);
+      canvas.setActiveObject(plane);
+    }
+  }
+
+  canvas.requestRenderAll();
+  updatePlaneButton();
+  history.record();
+});
+
+canvas.on({
+  'selection:created': updatePlaneButton,
+  'selection:updated': updatePlaneButton,
+  'selection:cleared': updatePlaneButton,
+});
+updatePlaneButton();
@@ -0,0 +1,327 @@
+import flatten from 'lodash.flatten';
+import verb from 'verb-nurbs-web';
+
+/**
+ * 網格扭曲 (Mesh warp) 工具
+ *
+ * 網格控制點以 meshCoords[row][col] = [x, y] 的二維陣列表示，
+ * row 沿著 V（由上到下），col 沿著 U（由左到右）。
+ * 這些點作為 NURBS 曲面的控制點，四個角點會落在曲面上，內部的點則牽引曲面變形。
+ */
+
+// 網格曲面的最高次數（三次）
+const MAX_DEGREE = 3;
+// 16 位元索引可以定址的頂點數上限
+export const MAX_UINT16_VERTICES = 65536;
+
+/**
+ * 依控制點數量決定曲面在該方向的次數
+ * @param {number} count 控制點數量
+ * @return {number}
+ */
+function getDegree(count) {
+  return Math.min(MAX_DEGREE, count - 1);
+}
+
+/**
+ * 建立兩端夾緊 (clamped) 的均勻節點向量，讓曲面通過四個角點
+ * @param {number} count 控制點數量
+ * @param {number} degree 曲面次數
+ * @return {number[]}
+ */
+function createKnots(count, degree) {
+  const knots = [];
+  const spans = count - degree;
+
+  for (let i = 0; i <= degree; i++) knots.push(0);
+  for (let i = 1; i < spans; i++) knots.push(i / spans);
+  for (let i = 0; i <= degree; i++) knots.push(1);
+
+  return knots;
+}
+
+/**
+ * 計算每個控制點對應的 Greville 參數值
+ * 將控制點放在平面在這些參數上的位置時，曲面會完整重現原本的平面映射。
+ * @param {number} count 控制點數量
+ * @return {number[]}
+ */
+function getGrevilleAbscissae(count) {
+  const degree = getDegree(count);
+  const knots = createKnots(count, degree);
+  const params = [];
+
+  for (let i = 0; i < count; i++) {
+    let sum = 0;
+    for (let j = 1; j <= degree; j++) sum += knots[i + j];
+    params.push(sum / degree);
+  }
+
+  return params;
+}
+
+/**
+ * 由網格控制點建立 NURBS 曲面
+ * @param {number[][][]} meshCoords 網格控制點 [row][col] = [x, y]
+ * @return {verb.geom.NurbsSurface}
+ */
+export function createMeshSurface(meshCoords) {
+  const rows = meshCoords.length;
+  const cols = meshCoords[0].length;
+  const degreeU = getDegree(cols);
+  const degreeV = getDegree(rows);
+
+  // verb 的控制點以 [u][v] 排列，因此需要將 [row][col] 轉置
+  const controlPoints = [];
+  for (let col = 0; col < cols; col++) {
+    controlPoints.push(meshCoords.map((row) => row[col].slice()));
+  }
+
+  return verb.geom.NurbsSurface.byKnotsControlPointsWeights(
+    degreeU,
+    degreeV,
+    createKnots(cols, degreeU),
+    createKnots(rows, degreeV),
+    controlPoints
+  );
+}
+
+/**
+ * 依照給定的映射函式取樣出 rows x cols 的網格控制點
+ * 可用於由四個角點建立初始網格，或在改變網格密度時重新取樣既有的扭曲。
+ * @param {function(number, number): number[]} pointAt 將 (u, v) 映射為 [x, y] 的函式
+ * @param {number} rows 列數（至少 2）
+ * @param {number} cols 行數（至少 2）
+ * @return {number[][][]} 網格控制點 [row][col] = [x, y]
+ */
+export function sampleMeshCoords(pointAt, rows, cols) {
+  const us = getGrevilleAbscissae(cols);
+  const vs = getGrevilleAbscissae(rows);
+
+  return vs.map((v) => us.map((u) => pointAt(u, v).slice(0, 2)));
+}
+
+/**
+ * 取得網格的四個角點，順序與 perspectiveCoords 相同（左上、右上、右下、左下）
+ * @param {number[][][]} meshCoords 網格控制點
+ * @return {number[][]}
+ */
+export function getMeshCorners(meshCoords) {
+  const lastRow = meshCoords[meshCoords.length - 1];
+  const firstRow = meshCoords[0];
+
+  return [
+    firstRow[0],
+    firstRow[firstRow.length - 1],
+    lastRow[lastRow.length - 1],
+    lastRow[0],
+  ];
+}
+
+/**
+ * 建立預設的邊緣切線控制點：每條邊的兩個控制點位於該邊的 1/3 與 2/3 處，
+ * 此時三次曲線與直線重合。
+ * 第 i 條邊由 corners[i] 連到 corners[i + 1]（最後一條邊連回第一個角點）。
+ * @param {number[][]} corners 四個角點（左上、右上、右下、左下）
+ * @return {number[][][]} 每條邊的兩個切線控制點 [edge][0|1] = [x, y]
+ */
+export function createStraightEdgeHandles(corners) {
+  return corners.map((start, index) => {
+    const end = corners[(index + 1) % corners.length];
+
+    return [1 / 3, 2 / 3].map((t) => [
+      start[0] + (end[0] - start[0]) * t,
+      start[1] + (end[1] - start[1]) * t,
+    ]);
+  });
+}
+
+/**
+ * 以四條三次貝茲曲線為邊界，建立等價於雙線性混合 Coons patch 的 4x4 網格控制點
+ * 邊界控制點直接取自角點與切線控制點，內部四個控制點則依 Coons patch 公式推得，
+ * 因此可直接交給 createMeshSurface() 產生雙三次曲面。
+ * @param {number[][]} corners 四個角點（左上、右上、右下、左下）
+ * @param {number[][][]} edgeHandles 每條邊的兩個切線控制點（上、右、下、左，順時針）
+ * @return {number[][][]} 4x4 網格控制點 [row][col] = [x, y]
+ */
+export function createCoonsMeshCoords(corners, edgeHandles) {
+  const [topLeft, topRight, bottomRight, bottomLeft] = corners;
+  const [top, right, bottom, left] = edgeHandles;
+
+  // 下緣與左緣的控制點方向與網格方向相反，需反向放置
+  const grid = [
+    [topLeft, top[0], top[1], topRight],
+    [left[1], null, null, right[0]],
+    [left[0], null, null, right[1]],
+    [bottomLeft, bottom[1], bottom[0], bottomRight],
+  ];
+
+  // 內部控制點由距離最近的角點 (a, b) 推得，(c, d) 為對側索引，(i, j) 為相鄰的內部索引
+  const interior = (a, b) => {
+    const c = 3 - a;
+    const d = 3 - b;
+    const i = a === 0 ? 1 : 2;
+    const j = b === 0 ? 1 : 2;
+
+    return [0, 1].map(
+      (k) =>
+        (-4 * grid[a][b][k] +
+          6 * (grid[a][j][k] + grid[i][b][k]) -
+          2 * (grid[a][d][k] + grid[c][b][k]) +
+          3 * (grid[c][j][k] + grid[i][d][k]) -
+          grid[c][d][k]) /
+        9
+    );
+  };
+
+  grid[1][1] = interior(0, 0);
+  grid[1][2] = interior(0, 3);
+  grid[2][1] = interior(3, 0);
+  grid[2][2] = interior(3, 3);
+
+  return grid;
+}
+
+/**
+ * 以開花 (blossom) 計算貝茲曲線在參數區間 [t0, t1] 上的控制點
+ * 參數可以超出 0..1，此時會沿著同一條多項式曲線延伸。
+ * @param {number[][]} points 貝茲曲線的控制點 [x, y]
+ * @param {number} t0 區間起點
+ * @param {number} t1 區間終點
+ * @return {number[][]} 區間對應的控制點，數量與 points 相同
+ */
+function subdivideBezier(points, t0, t1) {
+  const degree = points.length - 1;
+  const blossom = (params) =>
+    params.reduce(
+      (level, t) =>
+        level
+          .slice(1)
+          .map((point, i) => [
+            level[i][0] + (point[0] - level[i][0]) * t,
+            level[i][1] + (point[1] - level[i][1]) * t,
+          ]),
+      points
+    )[0];
+
+  return points.map((_, k) =>
+    blossom(
+      Array.from({ length: degree }, (__, i) => (i < degree - k ? t0 : t1))
+    )
+  );
+}
+
+/**
+ * 取得貝茲網格在 UV 矩形 [u0, u1] x [v0, v1] 上的子曲面，範圍可以超出 0..1（延伸曲面）
+ * 每個方向的控制點數量須在 MAX_DEGREE + 1 以內，此時 createMeshSurface() 建立的曲面即為單一貝茲曲面。
+ * @param {number[][][]} meshCoords 網格控制點 [row][col] = [x, y]
+ * @param {number} u0
+ * @param {number} v0
+ * @param {number} u1
+ * @param {number} v1
+ * @return {number[][][]} 子曲面的網格控制點，行列數與 meshCoords 相同
+ */
+export function cropBezierMeshCoords(meshCoords, u0, v0, u1, v1) {
+  // 先沿 V 細分每一行，再沿 U 細分每一列
+  const columns = meshCoords[0].map((_, col) =>
+    subdivideBezier(
+      meshCoords.map((row) => row[col]),
+      v0,
+      v1
+    )
+  );
+
+  return meshCoords.map((_, row) =>
+    subdivideBezier(
+      columns.map((column) => column[row]),
+      u0,
+      u1
+    )
+  );
+}
+
+/**
+ * 是否可以用 cropBezierMeshCoords() 精確地裁切或延伸網格
+ * @param {number[][][]} meshCoords 網格控制點
+ * @return {boolean}
+ */
+export function isBezierMesh(meshCoords) {
+  return (
+    meshCoords.length <= MAX_DEGREE + 1 &&
+    meshCoords[0].length <= MAX_DEGREE + 1
+  );
+}
+
+/**
+ * 由 4x4 網格取出四個角點與每條邊的切線控制點，為 createCoonsMeshCoords() 的反向操作
+ * @param {number[][][]} grid 4x4 網格控制點 [row][col] = [x, y]
+ * @return {{corners: number[][], edgeHandles: number[][][]}}
+ */
+export function getCoonsEdges(grid) {
+  return {
+    corners: getMeshCorners(grid),
+    edgeHandles: [
+      [grid[0][1], grid[0][2]],
+      [grid[1][3], grid[2][3]],
+      [grid[3][2], grid[3][1]],
+      [grid[2][0], grid[1][0]],
+    ],
+  };
+}
+
+/**
+ * 建立 tessellation 三角網格的索引陣列
+ * 頂點數超過 16 位元索引的範圍時改用 Uint32Array（WebGL 1 需要 OES_element_index_uint），
+ * 否則索引會被截斷而指向錯誤的頂點。
+ * @param {Object} tess tessellation 結果（含 faces、points）
+ * @return {Uint16Array|Uint32Array}
+ */
+export function createMeshIndices(tess) {
+  const indices = flatten(tess.faces);
+
+  return tess.points.length > MAX_UINT16_VERTICES
+    ? new Uint32Array(indices)
+    : new Uint16Array(indices);
+}
+
+/**
+ * 在 tessellation 的三角網格中查詢一個點，並以重心座標內插出另一組屬性
+ * 例如由 UV 查詢對應的頂點位置（from = 'uvs', to = 'points'），或反過來由位置查詢 UV。
+ * 由於繪製時同樣是在每個三角形內線性內插，結果會與實際繪製的畫面一致。
+ * @param {Object} tess tessellation 結果（含 faces、points、uvs）
+ * @param {string} from 查詢所使用的屬性名稱
+ * @param {string} to 要內插出的屬性名稱
+ * @param {number[]} point 查詢的點 [x, y]
+ * @return {number[]|null} 內插結果，若點不在任何三角形內則回傳 null
+ */
+export function interpolateMesh(tess, from, to, point) {
+  const [px, py] = point;
+  const epsilon = 1e-9;
+
+  for (let i = 0; i < tess.faces.length; i++) {
+    const [ia, ib, ic] = tess.faces[i];
+    const [ax, ay] = tess[from][ia];
+    const [bx, by] = tess[from][ib];
+    const [cx, cy] = tess[from][ic];
+
+    const det = (by - cy) * (ax - cx) + (cx - bx) * (ay - cy);
+    if (det === 0) continue;
+
+    const wa = ((by - cy) * (px - cx) + (cx - bx) * (py - cy)) / det;
+    const wb = ((cy - ay) * (px - cx) + (ax - cx) * (py - cy)) / det;
+    const wc = 1 - wa - wb;
+
+    if (wa >= -epsilon && wb >= -epsilon && wc >= -epsilon) {
+      const a = tess[to][ia];
+      const b = tess[to][ib];
+      const c = tess[to][ic];
+
+      return [
+        a[0] * wa + b[0] * wb + c[0] * wc,
+        a[1] * wa + b[1] * wb + c[1] * wc,
+      ];
+    }
+  }
+
+  return null;
+}
@@ -1,4 +1,35 @@
 import { fabric } from 'fabric';
+import flatten from 'lodash.flatten';
+import {
+  createCoonsMeshCoords,
+  createStraightEdgeHandles,
+  cropBezierMeshCoords,
+  getCoonsEdges,
+  getMeshCorners,
+  isBezierMesh,
+  sampleMeshCoords,
+} from './mesh';
+import { invert, squareToQuad, transformPoint } from './homography';
+import {
+  encodeCanvas,
+  finishExportCanvas,
+  getExportScale,
+  withoutCacheLimits,
+} from './export';
+import { PERSPECTIVE_VERSION, cloneCoords, isPointInPolygon } from './coords';
+import { isValidQuad, moveCorner, snapCorners } from './constraints';
+import { rectifyImage } from './rectify';
+
+// 方向鍵對應的移動方向（圖片像素）
+const ARROW_KEYS = {
+  ArrowLeft: [-1, 0],
+  ArrowRight: [1, 0],
+  ArrowUp: [0, -1],
+  ArrowDown: [0, 1],
+};
+
+// setPerspective() 動畫的預設時間（毫秒）
+const PERSPECTIVE_ANIMATION_DURATION = 300;
 
 /**
  * Photo 子類別定義
@@ -8,6 +39,13 @@ import { fabric } from 'fabric';
  *
  * 此類別繼承自 fabric.Image，並擴充出照片的透視變形功能。
  * 在圖片載入後，可設定透視控制點，透過拖曳控制點改變圖片的透視效果。
+ *
+ * 透視座標（perspectiveCoords、meshCoords、edgeHandles）與物件的 width/height
+ * 皆以圖片像素為單位，不受 fabric.devicePixelRatio 影響，
+ * 因此同一份設計在不同解析度的螢幕上會呈現相同的結果。
+ *
+ * 邊距（paddingT/B/L/R）會在透視濾鏡之前套用到來源圖片：正值以透明區域擴展、負值裁切原圖，
+ * 透視濾鏡扭曲的是加上邊距後的圖片，因此可以先裁切商品照再扭曲裁切後的結果。
  */
 fabric.Photo = class extends fabric.Image {
   type = 'photo'; // 設定此物件的類型為 'photo'
@@ -17,6 +55,49 @@ fabric.Photo = class extends fabric.Image {
 
   // 新增
   perspectiveMode = false;
+  // 透視濾鏡的扭曲模式：'bilinear'（預設）、'projective' 或 'mesh'
+  warpMode = 'bilinear';
+  // mesh 模式的網格密度（列數 x 行數）
+  meshRows = 3;
+  meshCols = 3;
+  // mesh 模式的網格控制點 [row][col] = [x, y]，四個角點會同步到 perspectiveCoords
+  meshCoords = null;
+  // 每條邊的兩個切線控制點 [edge][0|1] = [x, y]，為 null 時四邊皆為直線
+  edgeHandles = null;
+  // 是否顯示邊緣切線控制點
+  showEdgeHandles = true;
+  // 拼貼在扭曲曲面上的布料樣本網址，為 null 時顯示原圖（詳見 Perspective 濾鏡的 swatch 屬性）
+  swatchSrc = null;
+  // 樣本拼貼的縮放、旋轉（度）與位移（圖片像素）
+  swatchScale = 1;
+  swatchAngle = 0;
+  swatchOffsetX = 0;
+  swatchOffsetY = 0;
+  // 樣本與原圖光影的混合模式：null、'multiply'、'overlay' 或 'soft-light'
+  shadingMode = null;
+  // 光影混合的強度（0..1）
+  shadingStrength = 1;
+  // 自訂光影圖的網址，為 null 時使用原圖的亮度
+  shadingMapSrc = null;
+  // 來源圖片四邊的邊距（圖片像素），正值以透明區域擴展、負值裁切原圖
+  paddingT = 0;
+  paddingB = 0;
+  paddingL = 0;
+  paddingR = 0;
+  // 拖曳透視角點時的限制模式：null（自由移動）、'rectangle'、'parallelogram'、'trapezoid' 或 'aspect'
+  // （詳見 constraints.js），不論模式為何，角點都無法拖曳成凹陷、交錯或翻轉的四邊形
+  cornerConstraint = null;
+  // 對齊的透視平面（fabric.PerspectivePlane）的 planeId，拖曳角點時四邊會通過平面的消失點，
+  // 平面不在畫布上時（例如已被刪除）不再限制
+  perspectivePlaneId = null;
+  // 以鍵盤操作的透視控制點名稱（prs1..prs4 或 msh{row}_{col}），為 null 時沒有焦點（不會序列化）
+  focusedControl = null;
+  // 裁切的分割區域 { mask, region, feather }，為 null 時不裁切（參考畫布上的遮罩物件，不會序列化）
+  clipRegion = null;
+  // 在照片之後、控制點之前繪製的疊加層 function(ctx)，ctx 已轉為扭曲座標（例如分割遮罩的高亮，不會序列化）
+  overlays = [];
+  // getWarpOutline() 快取的外框（扭曲座標），控制點移動或扭曲改變時清除
+  _warpOutline = null;
 
   /**
    * 由於我們在此類別中會新增 perspectiveCoords 屬性，
@@ -36,32 +117,36 @@ fabric.Photo = class extends fabric.Image {
     // 若有傳入 options，將選項套用至物件
     if (options) this.setOptions(options);
 
-    // 當該物件加入到 canvas 中時觸發 'added' 事件
-    this.on('added', () => {
-      const image = new Image();
-      image.setAttribute('crossorigin', 'anonymous'); // 避免跨域問題
-      image.onload = () => {
-        // 圖片載入完成後初始化元素
-        this._initElement(image, options);
-        // 計算並設定物件的寬高（根據載入圖片的原始大小並除以裝置像素倍率）
-        this.width = image.width / fabric.devicePixelRatio;
-        this.height = image.height / fabric.devicePixelRatio;
-        this.loaded = true;
-        this.setCoords(); // 設定控制點座標
-        this.fire('image:loaded'); // 觸發自訂事件，表示圖片完成載入
-      };
-      image.src = src; // 開始載入圖片資源
+    // 非透視模式時，以邊緣的長條控制點調整邊距
+    this.controls = {
+      ...fabric.Image.prototype.controls,
+      ...this._createPaddingControls(),
+    };
 
-      // 當 'image:loaded' 事件發生後執行，這裡表示圖片已經準備好
-      this.on('image:loaded', () => {
-        // 若還沒有初始化透視座標，則進行初始化
-        !this.perspectiveCoords && this.getInitialPerspective();
+    // 圖片來源與建立時的選項，在載入圖片時使用（見 loadImage()）
+    this._source = { src, options };
 
-        // 切換至透視模式
-        // this.togglePerspective();
-        // 請求 canvas 重新渲染
-        this.canvas.requestRenderAll();
-      });
+    // 當該物件加入到 canvas 中時觸發 'added' 事件，開始載入圖片
+    // 已載入的照片重新加入畫布（例如解散透視群組）時，不重新載入圖片與套用建立時的選項
+    this.on('added', () => this.loadImage());
+
+    // 當 'image:loaded' 事件發生後執行，這裡表示圖片已經準備好
+    this.on('image:loaded', () => {
+      // 若還沒有初始化透視座標，則進行初始化；由序列化資料還原時則重建扭曲與控制點
+      this.perspectiveCoords
+        ? this.refreshPerspective()
+        : this.getInitialPerspective();
+
+      // 切換至透視模式
+      // this.togglePerspective();
+      // 請求 canvas 重新渲染
+      this.canvas && this.canvas.requestRenderAll();
+    });
+
+    // 放開滑鼠後，以完整的網格密度重新套用拖曳期間的草稿扭曲，並通知拖曳已結束
+    this.on('mouseup', () => {
+      this._finishDraft();
+      this._finishPerspectiveChange();
     });
   }
 
@@ -69,6 +154,53 @@ fabric.Photo = class extends fabric.Image {
   cacheProperties =
     fabric.Image.prototype.cacheProperties.concat('perspectiveCoords');
 
+  /**
+   * 狀態屬性（fabric 用於 hasStateChanged 以及 undo/redo），
+   * 額外加入透視扭曲相關的屬性，讓歷史紀錄可以還原扭曲與模式。
+   */
+  stateProperties = fabric.Image.prototype.stateProperties.concat(
+    'perspectiveMode',
+    'perspectiveCoords',
+    'warpMode',
+    'meshRows',
+    'meshCols',
+    'meshCoords',
+    'edgeHandles',
+    'showEdgeHandles',
+    'swatchSrc',
+    'swatchScale',
+    'swatchAngle',
+    'swatchOffsetX',
+    'swatchOffsetY',
+    'shadingMode',
+    'shadingStrength',
+    'shadingMapSrc',
+    'paddingT',
+    'paddingB',
+    'paddingL',
+    'paddingR',
+    'cornerConstraint',
+    'perspectivePlaneId'
+  );
+
+  /**
+   * @description 繪製照片，接著在同一個繪製流程中繪製疊加層（overlays）
+   * 疊加層因此會被上方的物件遮住，也不會蓋住控制點。
+   * @param {CanvasRenderingContext2D} ctx
+   */
+  render(ctx) {
+    super.render(ctx);
+    if (!this.overlays.length || !this.visible) return;
+
+    const { left, top } = this._calcDimensions();
+
+    ctx.save();
+    this.transform(ctx);
+    ctx.translate(-left - this.width / 2, -top - this.height / 2);
+    this.overlays.forEach((overlay) => overlay(ctx));
+    ctx.restore();
+  }
+
   /**
    * @private
    * @param {CanvasRenderingContext2D} ctx 在畫布上繪製時的 Context
@@ -123,6 +255,7 @@ fabric.Photo = class extends fabric.Image {
    * @param {boolean} mode 是否開啟透視模式
    */
   togglePerspective(mode = true) {
+    const previousMode = this.perspectiveMode;
     this.set('layout', 'fit'); // 當啟用透視模式時，將布局設為 fit
     this.perspectiveMode = mode;
     const originalControls = fabric.Image.prototype.controls;
@@ -130,133 +263,307 @@ fabric.Photo = class extends fabric.Image {
     if (mode === true) {
       this.set('layout', 'fit');
 
-      var lastControl = this.perspectiveCoords.length - 1;
+      // mesh 模式下每個網格節點都是一個控制點，否則只有四個透視角點
+      this.controls =
+        this.warpMode === 'mesh' && this.meshCoords
+          ? this._createMeshControls()
+          : this._createCornerControls();
+    } else {
+      // 如果將透視模式關掉，回復原有控制項（四邊改為調整邊距的長條控制點）
+      // this.controls = fabric.Photo.prototype.controls;
 
-      // 在透視模式下，為每一個透視控制點建立控制器（control）
-      this.controls = this.perspectiveCoords.reduce((acc, coord, index) => {
-        const anchorIndex = index > 0 ? index - 1 : lastControl;
-        let name = `prs${index + 1}`;
+      this.controls = {
+        ...originalControls,
+        ...this._createPaddingControls(),
+      };
+    }
 
-        acc[name] = new fabric.Control({
-          name,
-          x: -0.5,
-          y: -0.5,
-          // actionHandler 定義當控制點被拖曳時要做的行為
-          actionHandler: this._actionWrapper(
-            anchorIndex,
-            (_, transform, x, y) => {
-              const target = transform.target;
-              const mousePoint = new fabric.Point(x, y);
-
-              // 1. Get inverse transform of the object
-              const inverseMatrix = fabric.util.invertTransform(
-                target.calcTransformMatrix()
-              );
+    // 重建控制點（例如 _updateWarp）時模式沒有改變，不觸發事件
+    mode !== previousMode &&
+      this._firePerspectiveEvent('perspective:modechange', { mode });
+    // 群組中的照片（例如 PerspectiveGroup.fromObject 還原時）不在畫布上
+    this.canvas && this.canvas.requestRenderAll();
+  }
 
-              // 2. Transform mouse point from canvas to local (center-based) coordinates
-              const centerBasedLocalPoint = fabric.util.transformPoint(
-                mousePoint,
-                inverseMatrix
-              );
+  /**
+   * 為四個透視角點建立控制器，每個角點與下一個角點以線段相連
+   * 若啟用了曲線邊緣，角點之間改以三次貝茲曲線相連，並為每條邊加上兩個切線控制點
+   * @return {Object} 以 prs1..prs4（以及 hdl1_1..hdl4_2）為名稱的控制器集合
+   */
+  _createCornerControls() {
+    const lastControl = this.perspectiveCoords.length - 1;
 
-              // 3. Convert from center-based to top-left-based coordinates
-              const topLeftBasedLocalPoint = {
-                x: centerBasedLocalPoint.x + target.width / 2,
-                y: centerBasedLocalPoint.y + target.height / 2,
-              };
+    const controls = this.perspectiveCoords.reduce((acc, coord, index) => {
+      const anchorIndex = index > 0 ? index - 1 : lastControl;
+      const name = `prs${index + 1}`;
 
-              // 4. Update the perspective coordinate
-              coord[0] =
-                topLeftBasedLocalPoint.x *
-                fabric.devicePixelRatio;
-              coord[1] =
-                topLeftBasedLocalPoint.y *
-                fabric.devicePixelRatio;
+      acc[name] = this._createPointControl(name, coord, {
+        anchorIndex,
+        // 將該控制點與下個控制點連成線，若是最後一個點，則連回第一個點
+        drawGuides: (ctx, toLocal) => {
+          const next =
+            this.perspectiveCoords[index + 1] || this.perspectiveCoords[0];
 
-              // 5. Normalize the object's geometry based on the new point
-              target._resetSizeAndPosition(); // Simplified version
+          ctx.moveTo(0, 0);
+          if (this.edgeHandles) {
+            const [start, end] = this.edgeHandles[index];
+            ctx.bezierCurveTo(
+              ...toLocal(start),
+              ...toLocal(end),
+              ...toLocal(next)
+            );
+          } else {
+            ctx.lineTo(...toLocal(next));
+          }
+        },
+      });
 
-              // 6. Update fabric's internal coordinates and apply filters
-              target.setCoords();
-              target.applyFilters();
+      return acc;
+    }, {});
 
-              return true;
-            }
-          ),
-          positionHandler: function (dim, finalMatrix, fabricObject) {
-            // 控制點繪製時位置的計算函式
-            const zoom = fabricObject.canvas.getZoom();
-            const scalarX =
-              (fabricObject.scaleX * zoom) / fabric.devicePixelRatio;
-            const scalarY =
-              (fabricObject.scaleY * zoom) / fabric.devicePixelRatio;
-
-            var point = fabric.util.transformPoint(
-              {
-                x: this.x * dim.x + this.offsetX + coord[0] * scalarX,
-                y: this.y * dim.y + this.offsetY + coord[1] * scalarY,
-              },
-              finalMatrix
-            );
+    if (this.edgeHandles && this.showEdgeHandles) {
+      this.edgeHandles.forEach((handles, edgeIndex) => {
+        handles.forEach((handle, handleIndex) => {
+          const name = `hdl${edgeIndex + 1}_${handleIndex + 1}`;
+          // 第一個切線控制點屬於邊的起點，第二個屬於邊的終點
+          const cornerIndex = (edgeIndex + handleIndex) % 4;
 
-            return point;
-          },
-          cursorStyleHandler: () => 'cell',
-          // 自訂控制點的繪製方式（在控制點間繪出線段，並以綠色小圓點表示控制點）
-          render: function (ctx, left, top, _, fabricObject) {
-            const zoom = fabricObject.canvas.getZoom();
-            const scalarX =
-              (fabricObject.scaleX * zoom) / fabric.devicePixelRatio;
-            const scalarY =
-              (fabricObject.scaleY * zoom) / fabric.devicePixelRatio;
-
-            ctx.save();
-            ctx.translate(left, top);
-            ctx.rotate(fabric.util.degreesToRadians(fabricObject.angle));
-            ctx.beginPath();
-
-            ctx.moveTo(0, 0);
-            ctx.strokeStyle = 'green';
-
-            // 將該控制點與下個控制點連成線，若是最後一個點，則連回第一個點
-            if (fabricObject.perspectiveCoords[index + 1]) {
-              ctx.strokeStyle = 'green';
-              ctx.lineTo(
-                (fabricObject.perspectiveCoords[index + 1][0] - coord[0]) *
-                  scalarX,
-                (fabricObject.perspectiveCoords[index + 1][1] - coord[1]) *
-                  scalarY
-              );
-            } else {
-              ctx.lineTo(
-                (fabricObject.perspectiveCoords[0][0] - coord[0]) * scalarX,
-                (fabricObject.perspectiveCoords[0][1] - coord[1]) * scalarY
-              );
-            }
-            ctx.stroke();
-            ctx.beginPath();
-            ctx.arc(0, 0, 4, 0, Math.PI * 2);
-            ctx.closePath();
-            ctx.fillStyle = 'green';
-            ctx.fill();
-            ctx.stroke();
-            ctx.restore();
+          controls[name] = this._createPointControl(name, handle, {
+            radius: 3,
+            fillStyle: 'white',
+            drawGuides: (ctx, toLocal) => {
+              ctx.moveTo(0, 0);
+              ctx.lineTo(...toLocal(this.perspectiveCoords[cornerIndex]));
+            },
+          });
+        });
+      });
+    }
+
+    return controls;
+  }
+
+  /**
+   * 為網格的每個節點建立控制器，每個節點與右側及下方的節點以線段相連，形成網格線
+   * @return {Object} 以 msh{row}_{col} 為名稱的控制器集合
+   */
+  _createMeshControls() {
+    const controls = {};
+
+    this.meshCoords.forEach((row, rowIndex) => {
+      row.forEach((coord, colIndex) => {
+        const name = `msh${rowIndex}_${colIndex}`;
+
+        controls[name] = this._createPointControl(name, coord, {
+          drawGuides: (ctx, toLocal) => {
+            const nextRow = this.meshCoords[rowIndex + 1];
+
+            [row[colIndex + 1], nextRow && nextRow[colIndex]]
+              .filter(Boolean)
+              .forEach((neighbour) => {
+                ctx.moveTo(0, 0);
+                ctx.lineTo(...toLocal(neighbour));
+              });
           },
-          offsetX: 0,
-          offsetY: 0,
-          actionName: 'perspective-coords',
         });
+      });
+    });
 
-        return acc;
-      }, {});
-    } else {
-      // 如果將透視模式關掉，回復原有控制項
-      // this.controls = fabric.Photo.prototype.controls;
+    return controls;
+  }
 
-      this.controls = { ...originalControls };
-    }
+  /**
+   * 建立一個可拖曳的透視控制點
+   * @param {string} name 控制器名稱
+   * @param {number[]} coord 控制點座標（拖曳時會直接修改此陣列）
+   * @param {Object} [options]
+   * @param {number|null} [options.anchorIndex] 起點的控制點索引
+   * @param {function(CanvasRenderingContext2D, function): void} [options.drawGuides]
+   * 繪製輔助線（邊、網格線），toLocal 會將座標轉為以此控制點為原點的畫面座標
+   * @param {number} [options.radius] 控制點圓點半徑
+   * @param {string} [options.fillStyle] 控制點圓點填色
+   * @return {fabric.Control}
+   */
+  _createPointControl(
+    name,
+    coord,
+    { anchorIndex = null, drawGuides, radius = 4, fillStyle = 'green' } = {}
+  ) {
+    return new fabric.Control({
+      name,
+      x: -0.5,
+      y: -0.5,
+      // actionHandler 定義當控制點被拖曳時要做的行為
+      actionHandler: this._actionWrapper(anchorIndex, (_, transform, x, y) => {
+        const target = transform.target;
+        // 拖曳的控制點同時取得鍵盤焦點
+        target.focusedControl !== name && target.focusControl(name);
+        const mousePoint = new fabric.Point(x, y);
+
+        // 1. Get inverse transform of the object
+        const inverseMatrix = fabric.util.invertTransform(
+          target.calcTransformMatrix()
+        );
 
-    this.canvas.requestRenderAll();
+        // 2. Transform mouse point from canvas to local (center-based) coordinates
+        const centerBasedLocalPoint = fabric.util.transformPoint(
+          mousePoint,
+          inverseMatrix
+        );
+
+        // 3. Convert from center-based to top-left-based coordinates
+        const topLeftBasedLocalPoint = {
+          x: centerBasedLocalPoint.x + target.width / 2,
+          y: centerBasedLocalPoint.y + target.height / 2,
+        };
+
+        // 4. Update the perspective coordinate, normalize the object's geometry
+        //    and apply filters (with a coarse mesh while dragging, see _finishDraft).
+        //    Corners follow the constraint mode and refuse to form an invalid quad.
+        return target._moveControlPoint(
+          name,
+          topLeftBasedLocalPoint.x,
+          topLeftBasedLocalPoint.y,
+          { draft: true }
+        );
+      }),
+      positionHandler: function (dim, finalMatrix, fabricObject) {
+        // 控制點繪製時位置的計算函式
+        const zoom = fabricObject.canvas.getZoom();
+        const scalarX = fabricObject.scaleX * zoom;
+        const scalarY = fabricObject.scaleY * zoom;
+
+        var point = fabric.util.transformPoint(
+          {
+            x: this.x * dim.x + this.offsetX + coord[0] * scalarX,
+            y: this.y * dim.y + this.offsetY + coord[1] * scalarY,
+          },
+          finalMatrix
+        );
+
+        return point;
+      },
+      cursorStyleHandler: () => 'cell',
+      // 自訂控制點的繪製方式（在控制點間繪出輔助線，並以小圓點表示控制點）
+      render: function (ctx, left, top, _, fabricObject) {
+        const zoom = fabricObject.canvas.getZoom();
+        const scalarX = fabricObject.scaleX * zoom;
+        const scalarY = fabricObject.scaleY * zoom;
+        const toLocal = (point) => [
+          (point[0] - coord[0]) * scalarX,
+          (point[1] - coord[1]) * scalarY,
+        ];
+
+        ctx.save();
+        ctx.translate(left, top);
+        ctx.rotate(fabric.util.degreesToRadians(fabricObject.angle));
+        ctx.beginPath();
+        ctx.strokeStyle = 'green';
+
+        drawGuides && drawGuides(ctx, toLocal);
+
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.arc(0, 0, radius, 0, Math.PI * 2);
+        ctx.closePath();
+        ctx.fillStyle = fillStyle;
+        ctx.fill();
+        ctx.stroke();
+
+        // 取得鍵盤焦點的控制點外圍加上一圈外框
+        if (fabricObject.focusedControl === name) {
+          ctx.beginPath();
+          ctx.arc(0, 0, radius + 3, 0, Math.PI * 2);
+          ctx.strokeStyle = '#1e90ff';
+          ctx.lineWidth = 2;
+          ctx.stroke();
+        }
+        ctx.restore();
+      },
+      offsetX: 0,
+      offsetY: 0,
+      actionName: 'perspective-coords',
+    });
+  }
+
+  /**
+   * 建立調整邊距的長條控制點，取代 fabric 預設在四邊中點的縮放控制點
+   * 往外拖曳時擴展來源圖片，往內拖曳時裁切。
+   * @return {Object} 以 mt、mb、ml、mr 為名稱的控制器集合
+   */
+  _createPaddingControls() {
+    const sides = {
+      mt: { side: 'top', x: 0, y: -0.5, axis: 'y', sign: -1 },
+      mb: { side: 'bottom', x: 0, y: 0.5, axis: 'y', sign: 1 },
+      ml: { side: 'left', x: -0.5, y: 0, axis: 'x', sign: -1 },
+      mr: { side: 'right', x: 0.5, y: 0, axis: 'x', sign: 1 },
+    };
+    const stripOffset = 12;
+
+    return Object.keys(sides).reduce((acc, name) => {
+      const { side, x, y, axis, sign } = sides[name];
+      const property = `padding${side[0].toUpperCase()}`;
+
+      acc[name] = new fabric.Control({
+        x,
+        y,
+        offsetX: axis === 'x' ? sign * stripOffset : 0,
+        offsetY: axis === 'y' ? sign * stripOffset : 0,
+        cursorStyle: axis === 'y' ? 'ns-resize' : 'ew-resize',
+        actionName: 'padding',
+        actionHandler: (eventData, transform, pointerX, pointerY) => {
+          const target = transform.target;
+
+          // 以拖曳開始時的物件座標計算位移，物件尺寸改變後參考點不會跟著移動
+          if (!transform.paddingStart) {
+            const matrix = fabric.util.invertTransform(
+              target.calcTransformMatrix()
+            );
+            transform.paddingStart = {
+              matrix,
+              point: fabric.util.transformPoint(
+                new fabric.Point(pointerX, pointerY),
+                matrix
+              ),
+              value: target[property],
+            };
+          }
+
+          const start = transform.paddingStart;
+          const point = fabric.util.transformPoint(
+            new fabric.Point(pointerX, pointerY),
+            start.matrix
+          );
+          const value = Math.round(
+            start.value + (point[axis] - start.point[axis]) * sign
+          );
+          if (value === target[property]) return false;
+
+          // 拖曳期間以較粗的網格繪製，放開滑鼠後由 _finishDraft 重新套用
+          const perspectiveFilter = target.getPerspectiveFilter();
+          perspectiveFilter && (perspectiveFilter.draft = true);
+          target.setPadding({ [side]: value });
+
+          return true;
+        },
+        // 以沿著邊的長條表示控制點，提示拖曳方向
+        render: (ctx, left, top, styleOverride, fabricObject) => {
+          const length = fabricObject.cornerSize * 2;
+          const thickness = 6;
+
+          ctx.save();
+          ctx.translate(left, top);
+          ctx.rotate(fabric.util.degreesToRadians(fabricObject.angle));
+          ctx.fillStyle = fabricObject.cornerColor;
+          axis === 'y'
+            ? ctx.fillRect(-length / 2, -thickness / 2, length, thickness)
+            : ctx.fillRect(-thickness / 2, -length / 2, thickness, length);
+          ctx.restore();
+        },
+      });
+
+      return acc;
+    }, {});
   }
 
   /**
@@ -283,6 +590,7 @@ fabric.Photo = class extends fabric.Image {
   _resetSizeAndPosition = (index, apply = true) => {
     // 將計算結果套用回物件的屬性
     this._setPositionDimensions({});
+    this._warpOutline = null;
 
     // 若 apply 為 true，則將計算得到的偏移量套用到每個控制點座標上
     apply && this._applyPointsOffset();
@@ -308,12 +616,12 @@ fabric.Photo = class extends fabric.Image {
 
   /**
    * @description 透過 perspectiveCoords 計算物件的新寬高與位置
-   * 這裡會計算四個點的最小、最大 x/y 值，以取得新的 bounding box。
+   * 這裡會計算四個點（mesh 模式下為所有網格點）的最小、最大 x/y 值，以取得新的 bounding box。
    */
   _calcDimensions() {
-    const coords = this.perspectiveCoords.slice().map((c) => ({
-      x: c[0] / fabric.devicePixelRatio,
-      y: c[1] / fabric.devicePixelRatio,
+    const coords = this._getWarpPoints().map((c) => ({
+      x: c[0],
+      y: c[1],
     }));
 
     const minX = fabric.util.array.min(coords, 'x') || 0;
@@ -337,12 +645,86 @@ fabric.Photo = class extends fabric.Image {
    * 讓控制點的座標以新計算的 pathOffset 為基準。
    */
   _applyPointsOffset() {
-    for (let i = 0; i < this.perspectiveCoords.length; i++) {
-      const coord = this.perspectiveCoords[i];
+    const points = this._getWarpPoints();
+
+    for (let i = 0; i < points.length; i++) {
+      const coord = points[i];
 
       coord[0] -= this.pathOffset.x;
       coord[1] -= this.pathOffset.y;
     }
+
+    this._syncMeshCorners();
+  }
+
+  /**
+   * @description 取得決定扭曲範圍的所有控制點：mesh 模式為全部網格點，其餘為四個透視點
+   * @return {number[][]}
+   */
+  _getWarpPoints() {
+    if (this.warpMode === 'mesh' && this.meshCoords) {
+      return flatten(this.meshCoords);
+    }
+
+    return this.edgeHandles
+      ? this.perspectiveCoords.concat(flatten(this.edgeHandles))
+      : this.perspectiveCoords;
+  }
+
+  /**
+   * @description mesh 模式下將網格的四個角點同步回 perspectiveCoords，
+   * 讓其他依賴四個透視點的邏輯維持一致。
+   */
+  _syncMeshCorners() {
+    if (this.warpMode !== 'mesh' || !this.meshCoords) return;
+
+    getMeshCorners(this.meshCoords).forEach((corner, index) => {
+      this.perspectiveCoords[index][0] = corner[0];
+      this.perspectiveCoords[index][1] = corner[1];
+    });
+  }
+
+  /**
+   * @description 載入圖片，完成後觸發 'image:loaded' 並初始化透視扭曲
+   * 照片加入畫布時會自動載入；不在畫布上的照片（例如透視群組中的物件）須自行呼叫。
+   * @param {function(): void} [callback] 圖片載入並初始化完成後的回呼函式，已載入時直接呼叫
+   */
+  loadImage(callback) {
+    if (this.loaded) {
+      callback && callback();
+      return;
+    }
+
+    if (callback) {
+      const onLoaded = () => {
+        this.off('image:loaded', onLoaded);
+        callback();
+      };
+      this.on('image:loaded', onLoaded);
+    }
+
+    // 同一張圖片只載入一次，載入期間再次呼叫時只等待結果
+    if (this._loadingImage) return;
+    this._loadingImage = true;
+
+    const { src, options } = this._source;
+    // 以 fabric 建立圖片元素，在 Node（jsdom + node-canvas）中同樣可以使用
+    const image = fabric.util.createImage();
+    image.setAttribute('crossorigin', 'anonymous'); // 避免跨域問題
+    image.onload = () => {
+      this._loadingImage = false;
+      // 圖片載入完成後初始化元素
+      this._initElement(image, options);
+      this._updatePaddedElement();
+      // 計算並設定物件的寬高（以含邊距的圖片像素為單位，與裝置像素比率無關）
+      const { width, height } = this._getPaddedSize();
+      this.width = width;
+      this.height = height;
+      this.loaded = true;
+      this.setCoords(); // 設定控制點座標
+      this.fire('image:loaded'); // 觸發自訂事件，表示圖片完成載入
+    };
+    image.src = src; // 開始載入圖片資源
   }
 
   /**
@@ -351,8 +733,9 @@ fabric.Photo = class extends fabric.Image {
    * 並加入一個 Perspective 濾鏡實現透視變化效果。
    */
   getInitialPerspective() {
-    let w = this.getScaledWidth();
-    let h = this.getScaledHeight();
+    // 透視座標以圖片像素為單位，不包含物件的縮放
+    let w = this.width;
+    let h = this.height;
 
     // 設定四個角的初始控制點 (無透視扭曲時為矩形的四個角)
     const perspectiveCoords = [
@@ -364,70 +747,1684 @@ fabric.Photo = class extends fabric.Image {
 
     this.perspectiveCoords = perspectiveCoords;
 
-    // 建立透視濾鏡，設定像素比例和控制點座標
+    // 建立透視濾鏡，設定扭曲模式和控制點座標
     const perspectiveFilter = new fabric.Image.filters.Perspective({
       hasRelativeCoordinates: false,
-      pixelRatio: fabric.devicePixelRatio, // the Photo is already retina ready
+      warpMode: this.warpMode,
       perspectiveCoords,
     });
 
+    // 以 mesh 模式建立時，由初始的四個角取樣出網格
+    if (this.warpMode === 'mesh') {
+      this.meshCoords = sampleMeshCoords(
+        perspectiveFilter.createPointMapper(),
+        this.meshRows,
+        this.meshCols
+      );
+      perspectiveFilter.meshCoords = this.meshCoords;
+    }
+
+    this._syncSwatch(perspectiveFilter);
     this.filters.push(perspectiveFilter);
     this.applyFilters();
 
     return perspectiveCoords;
   }
-};
 
-/**
- * @static
- * @description 從 object 的描述中建立 fabric.Photo 實例
- * @param {Object} _object 要還原成 Photo 的物件描述
- * @param {Function} callback 建立完成後的回呼函式
- *
- * 此方法會先嘗試從 object.src 載入圖片，若載入成功，則應用相應的濾鏡與裁切路徑，
- * 最終回呼 callback 傳回一個新的 fabric.Photo 物件實例。
- */
-fabric.Photo.fromObject = function (_object, callback) {
-  const object = fabric.util.object.clone(_object);
-  object.layout = _object.layout;
+  /**
+   * @description 依照片目前的透視屬性重建扭曲
+   * 用於由序列化資料還原，或在歷史紀錄中直接替換了座標之後：
+   * 讓透視濾鏡與照片共用同一組座標，並依座標重建尺寸、濾鏡結果與控制點。
+   */
+  refreshPerspective() {
+    if (!this.perspectiveCoords) return;
 
-  // 載入圖片
-  fabric.util.loadImage(
-    object.src,
-    function (img, isError) {
-      if (isError) {
-        // 若載入失敗，回呼 callback 傳回 null 並標示錯誤
-        callback && callback(null, true);
-        return;
-      }
-      // 初始化濾鏡
-      fabric.Photo.prototype._initFilters.call(
-        object,
-        object.filters,
-        function (filters) {
-          object.filters = filters || [];
-          fabric.Photo.prototype._initFilters.call(
-            object,
-            [object.resizeFilter],
-            function (resizeFilters) {
-              object.resizeFilter = resizeFilters[0];
+    let perspectiveFilter = this.getPerspectiveFilter();
 
-              // 若有 clipPath，則還原並實例化
-              fabric.util.enlivenObjects(
-                [object.clipPath],
-                function (enlivedProps) {
-                  object.clipPath = enlivedProps[0];
-                  // 建立新的 fabric.Photo 實例
-                  var image = new fabric.Photo(img, object);
-                  callback(image, false);
-                }
-              );
-            }
-          );
-        }
+    // 濾鏡無法還原（例如舊版資料）時，以照片上的座標重新建立
+    if (!perspectiveFilter) {
+      perspectiveFilter = new fabric.Image.filters.Perspective({
+        hasRelativeCoordinates: false,
+        perspectiveCoords: this.perspectiveCoords,
+      });
+      this.filters.push(perspectiveFilter);
+    }
+
+    perspectiveFilter.perspectiveCoords = this.perspectiveCoords;
+    this._updateWarp();
+
+    // 非透視模式時回復原有控制項
+    !this.perspectiveMode && this.canvas && this.togglePerspective(false);
+  }
+
+  /**
+   * @description 將照片序列化為 JSON 物件，額外包含透視扭曲的座標與模式
+   * @param {string[]} [propertiesToInclude] 額外需要輸出的屬性
+   * @return {Object}
+   */
+  toObject(propertiesToInclude = []) {
+    return {
+      ...super.toObject(propertiesToInclude),
+      perspectiveVersion: PERSPECTIVE_VERSION,
+      perspectiveMode: this.perspectiveMode,
+      perspectiveCoords: cloneCoords(this.perspectiveCoords),
+      warpMode: this.warpMode,
+      meshRows: this.meshRows,
+      meshCols: this.meshCols,
+      meshCoords: cloneCoords(this.meshCoords),
+      edgeHandles: cloneCoords(this.edgeHandles),
+      showEdgeHandles: this.showEdgeHandles,
+      swatchSrc: this.swatchSrc,
+      swatchScale: this.swatchScale,
+      swatchAngle: this.swatchAngle,
+      swatchOffsetX: this.swatchOffsetX,
+      swatchOffsetY: this.swatchOffsetY,
+      shadingMode: this.shadingMode,
+      shadingStrength: this.shadingStrength,
+      shadingMapSrc: this.shadingMapSrc,
+      paddingT: this.paddingT,
+      paddingB: this.paddingB,
+      paddingL: this.paddingL,
+      paddingR: this.paddingR,
+      cornerConstraint: this.cornerConstraint,
+      perspectivePlaneId: this.perspectivePlaneId,
+    };
+  }
+
+  /**
+   * @description 取得套用在此照片上的透視濾鏡
+   * @return {fabric.Image.filters.Perspective|undefined}
+   */
+  getPerspectiveFilter() {
+    return this.filters.find((filter) => filter.type === 'Perspective');
+  }
+
+  /**
+   * @description 將來源圖片上的點映射到畫布上（經過扭曲、物件變形與畫布縮放）
+   * 可用來在扭曲後的商品照上放置標籤、熱點或價格標示。
+   * @param {number} u 來源圖片上的 x 座標（原圖像素，不含邊距）
+   * @param {number} v 來源圖片上的 y 座標（原圖像素，不含邊距）
+   * @param {boolean} [absolute] 為 true 時回傳不含畫布縮放與平移（viewportTransform）的座標，
+   * 與 canvas.getPointer(e) 相同的座標系；預設回傳畫布元素上的像素座標
+   * @return {fabric.Point|null} 畫布上的點，若點不在圖片範圍內（或已被裁切）則回傳 null
+   */
+  sourceToCanvas(u, v, absolute = false) {
+    const perspectiveFilter = this.getPerspectiveFilter();
+    const { width, height } = this._getPaddedSize();
+    if (!perspectiveFilter || !width || !height) return null;
+
+    const point = perspectiveFilter.mapUvToPoint(
+      (u + this.paddingL) / width,
+      (v + this.paddingT) / height
+    );
+    if (!point) return null;
+
+    return fabric.util.transformPoint(
+      new fabric.Point(point[0], point[1]),
+      this._getWarpTransformMatrix(absolute)
+    );
+  }
+
+  /**
+   * @description 將畫布上的點反向映射回來源圖片上的點，可用於點擊測試
+   * @param {number} x 畫布上的 x 座標
+   * @param {number} y 畫布上的 y 座標
+   * @param {boolean} [absolute] 為 true 時表示傳入的座標不含畫布縮放與平移（viewportTransform）
+   * @return {fabric.Point|null} 來源圖片上的點（原圖像素，不含邊距），若不在扭曲後的圖片上則回傳 null
+   */
+  canvasToSource(x, y, absolute = false) {
+    const perspectiveFilter = this.getPerspectiveFilter();
+    const { width, height } = this._getPaddedSize();
+    if (!perspectiveFilter || !width || !height) return null;
+
+    const point = fabric.util.transformPoint(
+      new fabric.Point(x, y),
+      fabric.util.invertTransform(this._getWarpTransformMatrix(absolute))
+    );
+    const uv = perspectiveFilter.mapPointToUv(point.x, point.y);
+    if (!uv) return null;
+
+    return new fabric.Point(...this._mapUvToSource(uv[0], uv[1]));
+  }
+
+  /**
+   * @description 將透視濾鏡的 UV（含邊距的來源圖片）轉為原圖上的像素座標
+   * @param {number} u
+   * @param {number} v
+   * @return {number[]} 原圖像素座標 [x, y]，位於邊距中的點會超出原圖範圍
+   */
+  _mapUvToSource(u, v) {
+    const { width, height } = this._getPaddedSize();
+
+    return [u * width - this.paddingL, v * height - this.paddingT];
+  }
+
+  /**
+   * @description 取得將扭曲座標（perspectiveCoords 的座標系）轉為畫布座標的矩陣
+   * @param {boolean} [absolute] 為 true 時不包含畫布縮放與平移（viewportTransform）
+   * @return {number[]}
+   */
+  _getWarpTransformMatrix(absolute = false) {
+    // 扭曲座標以 _calcDimensions 的左上角（pathOffset 的基準）為原點，先轉為以中心為原點的物件座標
+    const { left, top } = this._calcDimensions();
+    let matrix = fabric.util.multiplyTransformMatrices(
+      this.calcTransformMatrix(),
+      [1, 0, 0, 1, -left - this.width / 2, -top - this.height / 2]
+    );
+
+    if (!absolute && this.canvas) {
+      matrix = fabric.util.multiplyTransformMatrices(
+        this.canvas.viewportTransform,
+        matrix
       );
-    },
-    null,
-    object.crossOrigin || 'anonymous'
-  );
+    }
+
+    return matrix;
+  }
+
+  /**
+   * @description 取得扭曲後圖片在畫布上的外框（mesh 模式或曲線邊緣時為取樣後的多邊形）
+   * @param {boolean} [absolute] 為 true 時回傳不含畫布縮放與平移（viewportTransform）的座標
+   * @return {fabric.Point[]|null} 外框的頂點，尚未建立透視濾鏡時回傳 null
+   */
+  getWarpOutline(absolute = false) {
+    const perspectiveFilter = this.getPerspectiveFilter();
+    if (!perspectiveFilter || !this.perspectiveCoords) return null;
+
+    // 曲線邊緣與 mesh 模式需要取樣曲面，每次點擊測試（mousemove）都重算的成本太高
+    this._warpOutline = this._warpOutline || perspectiveFilter.getOutline();
+    const matrix = this._getWarpTransformMatrix(absolute);
+
+    return this._warpOutline.map(([x, y]) =>
+      fabric.util.transformPoint(new fabric.Point(x, y), matrix)
+    );
+  }
+
+  /**
+   * @description 點擊測試改用扭曲後的外框，而不是矩形的 bounding box，
+   * 讓點在扭曲後留下的透明角落時可以選到後方的物件
+   * @param {fabric.Point} point 要檢查的點
+   * @param {Object} [lines] fabric 預先計算的邊線（扭曲時不使用）
+   * @param {boolean} [absolute] 是否使用不含 viewportTransform 的座標
+   * @param {boolean} [calculate] 是否重新計算座標
+   * @return {boolean}
+   */
+  containsPoint(point, lines, absolute, calculate) {
+    const outline = this.getWarpOutline(absolute);
+    if (!outline) return super.containsPoint(point, lines, absolute, calculate);
+
+    return isPointInPolygon(point, outline);
+  }
+
+  /**
+   * @description 框選時以扭曲後的外框判斷是否與選取框相交
+   * @param {fabric.Point} pointTL 選取框左上角
+   * @param {fabric.Point} pointBR 選取框右下角
+   * @param {boolean} [absolute] 是否使用不含 viewportTransform 的座標
+   * @param {boolean} [calculate] 是否重新計算座標
+   * @return {boolean}
+   */
+  intersectsWithRect(pointTL, pointBR, absolute, calculate) {
+    const outline = this.getWarpOutline(absolute);
+    if (!outline) {
+      return super.intersectsWithRect(pointTL, pointBR, absolute, calculate);
+    }
+
+    const intersection = fabric.Intersection.intersectPolygonRectangle(
+      outline,
+      pointTL,
+      pointBR
+    );
+
+    return intersection.status === 'Intersection';
+  }
+
+  /**
+   * @description 沿著扭曲後的外框繪製選取框
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {Object} [styleOverride] 覆寫邊框樣式的設定
+   */
+  drawBorders(ctx, styleOverride = {}) {
+    const outline = this.getWarpOutline();
+    if (!outline || !this.canvas) return super.drawBorders(ctx, styleOverride);
+
+    const { x: width, y: height } = this._calculateCurrentDimensions();
+    const hasControls =
+      typeof styleOverride.hasControls !== 'undefined'
+        ? styleOverride.hasControls
+        : this.hasControls;
+    const center = fabric.util.transformPoint(
+      this.getCenterPoint(),
+      this.canvas.viewportTransform
+    );
+
+    ctx.save();
+    ctx.strokeStyle = styleOverride.borderColor || this.borderColor;
+    this._setLineDash(
+      ctx,
+      styleOverride.borderDashArray || this.borderDashArray,
+      null
+    );
+
+    // 此時 ctx 已平移到物件中心並依 angle 旋轉，外框為畫布座標，需先還原
+    ctx.save();
+    ctx.rotate(-fabric.util.degreesToRadians(this.angle));
+    ctx.translate(-center.x, -center.y);
+    ctx.beginPath();
+    outline.forEach((point, index) =>
+      index ? ctx.lineTo(point.x, point.y) : ctx.moveTo(point.x, point.y)
+    );
+    ctx.closePath();
+    ctx.restore();
+    ctx.stroke();
+
+    // 旋轉控制點等與邊框相連的控制器，維持 fabric 原本的連接線
+    if (hasControls) {
+      ctx.beginPath();
+      this.forEachControl((control, key) => {
+        if (!control.withConnection || !control.getVisibility(this, key)) {
+          return;
+        }
+
+        ctx.moveTo(control.x * width, control.y * height);
+        ctx.lineTo(
+          control.x * width + control.offsetX,
+          control.y * height + control.offsetY
+        );
+      });
+      ctx.stroke();
+    }
+
+    ctx.restore();
+    return this;
+  }
+
+  /**
+   * @description 取得原圖（套用邊距與濾鏡前）的原始尺寸
+   * @return {{ width: number, height: number }}
+   */
+  _getSourceSize() {
+    const element = this._sourceElement || this._originalElement;
+    if (!element) return { width: 0, height: 0 };
+
+    return {
+      width: element.naturalWidth || element.width,
+      height: element.naturalHeight || element.height,
+    };
+  }
+
+  /**
+   * @description 取得加上邊距後的來源圖片尺寸，即透視濾鏡的輸入尺寸
+   * @return {{ width: number, height: number }}
+   */
+  _getPaddedSize() {
+    const { width, height } = this._getSourceSize();
+
+    return {
+      width: width + this.paddingL + this.paddingR,
+      height: height + this.paddingT + this.paddingB,
+    };
+  }
+
+  /**
+   * @description 設定圖片元素時保留原圖，邊距由 _updatePaddedElement() 另外套用
+   * @param {HTMLImageElement|HTMLCanvasElement} element
+   * @param {Object} [options]
+   * @return {fabric.Photo} thisArg
+   */
+  setElement(element, options) {
+    this._sourceElement = element;
+    this._paddingKey = null;
+
+    return super.setElement(element, options);
+  }
+
+  /**
+   * @description 序列化時輸出原圖的網址，而不是加上邊距後的圖片
+   * @param {boolean} [filtered] 是否取得套用濾鏡後的圖片
+   * @return {string}
+   */
+  getSrc(filtered) {
+    const element = this._sourceElement;
+    if (filtered || !element) return super.getSrc(filtered);
+    if (element.toDataURL) return element.toDataURL();
+
+    return this.srcFromAttribute ? element.getAttribute('src') : element.src;
+  }
+
+  /**
+   * @description 依目前的邊距重建透視濾鏡的來源圖片，邊距未改變時不做任何事
+   * @return {boolean} 是否重建了來源圖片
+   */
+  _updatePaddedElement() {
+    const source = this._sourceElement;
+    const key = [this.paddingT, this.paddingB, this.paddingL, this.paddingR];
+    if (!source || key.join() === this._paddingKey) return false;
+
+    let element = source;
+
+    if (key.some(Boolean)) {
+      const { width, height } = this._getPaddedSize();
+      element = fabric.util.createCanvasElement();
+      element.width = Math.max(1, width);
+      element.height = Math.max(1, height);
+      // 負的邊距會讓原圖超出畫布，超出的部分即被裁切
+      element.getContext('2d').drawImage(source, this.paddingL, this.paddingT);
+    }
+
+    this._paddingKey = key.join();
+    this._originalElement = element;
+    // WebGL 後端以 cacheKey 快取來源貼圖，來源改變後需要清除
+    this.removeTexture(this.cacheKey);
+
+    return true;
+  }
+
+  /**
+   * @description 設定來源圖片四邊的邊距，正值以透明區域擴展、負值裁切原圖
+   * 扭曲會依新的來源範圍延伸或縮減，原圖的內容在畫布上維持原本的位置與形狀。
+   * @param {Object} padding 未指定的邊維持不變
+   * @param {number} [padding.top] 上邊距（圖片像素）
+   * @param {number} [padding.bottom] 下邊距（圖片像素）
+   * @param {number} [padding.left] 左邊距（圖片像素）
+   * @param {number} [padding.right] 右邊距（圖片像素）
+   */
+  setPadding({ top, bottom, left, right } = {}) {
+    const source = this._getSourceSize();
+    const previous = {
+      size: this._getPaddedSize(),
+      left: this.paddingL,
+      top: this.paddingT,
+    };
+
+    top !== undefined && (this.paddingT = Math.round(top));
+    bottom !== undefined && (this.paddingB = Math.round(bottom));
+    left !== undefined && (this.paddingL = Math.round(left));
+    right !== undefined && (this.paddingR = Math.round(right));
+
+    // 裁切後至少保留 1px 的寬高
+    this.paddingT = Math.max(this.paddingT, 1 - source.height - this.paddingB);
+    this.paddingB = Math.max(this.paddingB, 1 - source.height - this.paddingT);
+    this.paddingL = Math.max(this.paddingL, 1 - source.width - this.paddingR);
+    this.paddingR = Math.max(this.paddingR, 1 - source.width - this.paddingL);
+
+    // 圖片尚未載入時，會在載入後套用邊距並以新的尺寸初始化透視座標
+    if (!this.perspectiveCoords || !this.getPerspectiveFilter()) return;
+
+    const size = this._getPaddedSize();
+    const origin = fabric.util.transformPoint(
+      new fabric.Point(0, 0),
+      this._getWarpTransformMatrix(true)
+    );
+
+    // 新來源範圍的四邊在原本 UV 空間中的位置
+    const u0 = (previous.left - this.paddingL) / previous.size.width;
+    const v0 = (previous.top - this.paddingT) / previous.size.height;
+    this._remapWarp(
+      u0,
+      v0,
+      u0 + size.width / previous.size.width,
+      v0 + size.height / previous.size.height
+    );
+    this._updateWarp();
+
+    // 扭曲座標重新以左上角為原點（pathOffset），平移物件讓原圖內容留在原位
+    const moved = fabric.util.transformPoint(
+      new fabric.Point(-this.pathOffset.x, -this.pathOffset.y),
+      this._getWarpTransformMatrix(true)
+    );
+    this.left += origin.x - moved.x;
+    this.top += origin.y - moved.y;
+    this.setCoords();
+  }
+
+  /**
+   * @description 將扭曲改為原本曲面在 UV 矩形 [u0, u1] x [v0, v1] 上的部分，範圍可超出 0..1
+   * projective 以單應性矩陣延伸，雙線性、曲線邊緣與不超過四行四列的網格都是貝茲曲面，
+   * 可以精確地裁切或延伸；更密的網格則重新取樣，超出原範圍的部分依四個角點的單應性延伸。
+   * @param {number} u0
+   * @param {number} v0
+   * @param {number} u1
+   * @param {number} v1
+   */
+  _remapWarp(u0, v0, u1, v1) {
+    const perspectiveFilter = this.getPerspectiveFilter();
+    const corners = this.perspectiveCoords;
+    const matrix = squareToQuad(corners);
+    const uvs = [
+      [u0, v0],
+      [u1, v0],
+      [u1, v1],
+      [u0, v1],
+    ];
+    let nextCorners = null;
+
+    if (this.warpMode === 'mesh' && this.meshCoords) {
+      if (isBezierMesh(this.meshCoords)) {
+        this.meshCoords = cropBezierMeshCoords(this.meshCoords, u0, v0, u1, v1);
+      } else {
+        const pointAt = perspectiveFilter.createPointMapper();
+        const clamp = (t) => Math.min(1, Math.max(0, t));
+
+        this.meshCoords = sampleMeshCoords(
+          (u, v) => {
+            const su = u0 + (u1 - u0) * u;
+            const sv = v0 + (v1 - v0) * v;
+            const point = pointAt(clamp(su), clamp(sv));
+            const outer = transformPoint(matrix, su, sv);
+            const inner = transformPoint(matrix, clamp(su), clamp(sv));
+
+            return [
+              point[0] + outer[0] - inner[0],
+              point[1] + outer[1] - inner[1],
+            ];
+          },
+          this.meshCoords.length,
+          this.meshCoords[0].length
+        );
+      }
+      // 四個角點由 _updateWarp() 同步回 perspectiveCoords
+    } else {
+      // 直線邊緣的雙線性曲面等同以三等分點為切線控制點的 Coons patch
+      const edges = getCoonsEdges(
+        cropBezierMeshCoords(
+          createCoonsMeshCoords(
+            corners,
+            this.edgeHandles || createStraightEdgeHandles(corners)
+          ),
+          u0,
+          v0,
+          u1,
+          v1
+        )
+      );
+
+      nextCorners = edges.corners;
+      this.edgeHandles && (this.edgeHandles = edges.edgeHandles);
+    }
+
+    if (this.warpMode === 'projective') {
+      nextCorners = uvs.map(([u, v]) => transformPoint(matrix, u, v));
+    }
+
+    // 透視濾鏡與照片共用同一組座標陣列，直接修改其中的值
+    nextCorners &&
+      nextCorners.forEach((corner, index) => {
+        corners[index][0] = corner[0];
+        corners[index][1] = corner[1];
+      });
+  }
+
+  /**
+   * @description 切換透視濾鏡的扭曲模式，並重新套用濾鏡
+   * 進入 mesh 模式時會以目前的扭曲取樣出網格；離開 mesh 模式時只保留四個角點。
+   * @param {string} mode 'bilinear'、'projective' 或 'mesh'
+   */
+  setWarpMode(mode) {
+    const perspectiveFilter = this.getPerspectiveFilter();
+
+    if (mode === 'mesh' && !this.meshCoords && perspectiveFilter) {
+      this.meshCoords = sampleMeshCoords(
+        perspectiveFilter.createPointMapper(),
+        this.meshRows,
+        this.meshCols
+      );
+      // 曲線邊緣已取樣進網格中
+      this.edgeHandles = null;
+    } else if (mode !== 'mesh') {
+      this.meshCoords = null;
+    }
+
+    this.warpMode = mode;
+    this._updateWarp();
+  }
+
+  /**
+   * @description 設定 mesh 模式的網格密度
+   * 新的網格會由目前的扭曲重新取樣而來，因此既有的變形會被保留，而不是重設為矩形。
+   * @param {number} rows 列數（至少 2）
+   * @param {number} cols 行數（至少 2）
+   */
+  setMeshGrid(rows, cols) {
+    const perspectiveFilter = this.getPerspectiveFilter();
+
+    this.meshRows = Math.max(2, rows);
+    this.meshCols = Math.max(2, cols);
+
+    if (perspectiveFilter) {
+      this.meshCoords = sampleMeshCoords(
+        perspectiveFilter.createPointMapper(),
+        this.meshRows,
+        this.meshCols
+      );
+      this.edgeHandles = null;
+    }
+
+    this.warpMode = 'mesh';
+    this._updateWarp();
+  }
+
+  /**
+   * @description 開關曲線邊緣
+   * 開啟時每條邊會加上兩個切線控制點，預設位於邊的 1/3 與 2/3 處（即直線）；
+   * 關閉時移除切線控制點，四邊回到直線。
+   * @param {boolean} enabled 是否啟用曲線邊緣
+   */
+  setCurvedEdges(enabled = true) {
+    // mesh 模式的邊緣由網格控制點決定
+    if (this.warpMode === 'mesh') return;
+
+    if (enabled && !this.edgeHandles) {
+      this.edgeHandles = createStraightEdgeHandles(this.perspectiveCoords);
+    } else if (!enabled) {
+      this.edgeHandles = null;
+    }
+
+    this._updateWarp();
+  }
+
+  /**
+   * @description 設定拖曳透視角點時的限制模式
+   * 開啟限制時會先將目前的四邊形調整為符合限制的形狀；mesh 模式的網格節點不受限制。
+   * @param {string|null} mode null、'rectangle'、'parallelogram'、'trapezoid' 或 'aspect'
+   */
+  setCornerConstraint(mode) {
+    this.cornerConstraint = mode || null;
+    this._snapCorners();
+  }
+
+  /**
+   * @description 將照片對齊到透視平面：拖曳角點時四邊會通過平面的兩個消失點（優先於 cornerConstraint），
+   * 讓同一個平面上的多張照片呈現一致的透視。對齊時會先以左上、右下角調整目前的四邊形。
+   * 照片以平面的 planeId 記錄對齊的平面，平面與照片在同一個畫布上時才會生效。
+   * @param {fabric.PerspectivePlane|null} plane 透視平面，為 null 時取消對齊
+   */
+  attachToPlane(plane) {
+    this.perspectivePlaneId = plane ? plane.planeId : null;
+    this._snapCorners();
+  }
+
+  /**
+   * @description 取消對齊透視平面
+   */
+  detachFromPlane() {
+    this.attachToPlane(null);
+  }
+
+  /**
+   * @description 取得對齊的透視平面
+   * @return {fabric.PerspectivePlane|null} 沒有對齊，或平面不在照片所在的畫布上時為 null
+   */
+  getPerspectivePlane() {
+    if (!this.perspectivePlaneId || !this.canvas) return null;
+
+    return (
+      this.canvas
+        .getObjects()
+        .find(
+          (object) =>
+            object.type === 'perspectivePlane' &&
+            object.planeId === this.perspectivePlaneId
+        ) || null
+    );
+  }
+
+  /**
+   * @private
+   * @description 將四邊形調整為符合目前的角點限制（或透視平面），照片在畫布上的位置不變
+   * mesh 模式的網格節點不受限制。
+   */
+  _snapCorners() {
+    const mode = this._getCornerMode();
+
+    if (!mode || !this.perspectiveCoords) return;
+    if (this.warpMode === 'mesh' && this.meshCoords) return;
+
+    const corners = snapCorners(
+      mode,
+      this.perspectiveCoords,
+      this._getCornerOptions()
+    );
+    // 無法調整為合法的四邊形時（例如照片的邊與平面的消失點交錯）維持原狀
+    if (!isValidQuad(corners)) return;
+
+    this._keepWarpInPlace(() => {
+      this._setCorners(corners);
+      this._updateWarp();
+    });
+  }
+
+  /**
+   * @private
+   * @description 依限制模式將角點移到 (x, y)，其他角點可能一併移動
+   * @param {number} index 角點索引
+   * @param {number} x 物件座標（以左上角為原點）
+   * @param {number} y
+   * @return {boolean} 是否有移動（拖曳會形成不合法的四邊形時為 false）
+   */
+  _moveCorner(index, x, y) {
+    const corners = moveCorner(
+      this._getCornerMode(),
+      this.perspectiveCoords,
+      index,
+      [x, y],
+      this._getCornerOptions()
+    );
+
+    if (!corners) return false;
+
+    this._setCorners(corners);
+    return true;
+  }
+
+  /**
+   * @private
+   * @description 將四個角點更新為新的位置（直接修改原陣列，控制器持有其參照），
+   * 相鄰兩條邊上靠近各角點的切線控制點一併平移
+   * @param {number[][]} corners 新的四個角點
+   */
+  _setCorners(corners) {
+    corners.forEach(([x, y], index) => {
+      const coord = this.perspectiveCoords[index];
+      const dx = x - coord[0];
+      const dy = y - coord[1];
+
+      if (this.edgeHandles) {
+        [
+          this.edgeHandles[index][0],
+          this.edgeHandles[(index + 3) % 4][1],
+        ].forEach((point) => {
+          point[0] += dx;
+          point[1] += dy;
+        });
+      }
+      coord[0] = x;
+      coord[1] = y;
+    });
+  }
+
+  /**
+   * @private
+   * @description 目前的角點限制模式：對齊透視平面時為 'plane'（平面已從畫布移除時不再限制）
+   * @return {string|null}
+   */
+  _getCornerMode() {
+    return this.getPerspectivePlane() ? 'plane' : this.cornerConstraint;
+  }
+
+  /**
+   * @private
+   * @description 角點限制需要的參數（見 constraints.js 的 constrainCorner()）
+   * @return {Object}
+   */
+  _getCornerOptions() {
+    const { width, height } = this._getPaddedSize();
+
+    return {
+      // 來源圖片（含邊距）的長寬比，用於 'aspect' 限制
+      aspectRatio: width / height || 1,
+      vanishingPoints:
+        this._getCornerMode() === 'plane'
+          ? this._getPlaneVanishingPoints()
+          : null,
+    };
+  }
+
+  /**
+   * @private
+   * @description 將透視平面在畫布上的消失點轉為扭曲座標（齊次座標，無窮遠的點維持為方向）
+   * @return {{ horizontal: number[], vertical: number[] }}
+   */
+  _getPlaneVanishingPoints() {
+    const m = fabric.util.invertTransform(this._getWarpTransformMatrix(true));
+    const toWarp = ([x, y, w]) => [
+      m[0] * x + m[2] * y + m[4] * w,
+      m[1] * x + m[3] * y + m[5] * w,
+      w,
+    ];
+    const { horizontal, vertical } =
+      this.getPerspectivePlane().getVanishingPoints();
+
+    return { horizontal: toWarp(horizontal), vertical: toWarp(vertical) };
+  }
+
+  /**
+   * @description 取得可以用鍵盤操作的透視控制點：四個角點，mesh 模式為所有網格節點
+   * @return {string[]} 控制點名稱，未開啟透視模式時為空陣列
+   */
+  getPointControlNames() {
+    if (!this.perspectiveMode) return [];
+
+    return Object.keys(this.controls).filter((name) => /^(prs|msh)/.test(name));
+  }
+
+  /**
+   * @description 將鍵盤焦點移到指定的透視控制點，並觸發 'control:focus' 事件
+   * @param {string|null} name 控制點名稱，為 null 時移除焦點
+   */
+  focusControl(name) {
+    this.focusedControl = name || null;
+    this.fire('control:focus', { name: this.focusedControl });
+    this.canvas && this.canvas.requestRenderAll();
+  }
+
+  /**
+   * @description 將焦點依序移到下一個（或上一個）透視控制點，沒有焦點時從頭（或尾）開始
+   * @param {number} [step] 1 為下一個、-1 為上一個
+   * @return {string|null} 取得焦點的控制點名稱
+   */
+  focusNextControl(step = 1) {
+    const names = this.getPointControlNames();
+    if (!names.length) return null;
+
+    const index = names.indexOf(this.focusedControl);
+    const next =
+      index < 0
+        ? step > 0
+          ? 0
+          : names.length - 1
+        : (index + step + names.length) % names.length;
+
+    this.focusControl(names[next]);
+    return names[next];
+  }
+
+  /**
+   * @description 處理鍵盤操作：Tab / Shift+Tab 切換控制點，方向鍵移動 1px（Shift 為 10px），Esc 移除焦點
+   * 移動量以圖片像素為單位，與畫布縮放無關。
+   * @param {KeyboardEvent} event
+   * @return {boolean} 是否處理了此按鍵（呼叫端應 preventDefault）
+   */
+  onKeyDown(event) {
+    if (!this.perspectiveMode) return false;
+
+    if (event.key === 'Tab') {
+      return !!this.focusNextControl(event.shiftKey ? -1 : 1);
+    }
+
+    if (event.key === 'Escape' && this.focusedControl) {
+      this.focusControl(null);
+      return true;
+    }
+
+    const direction = ARROW_KEYS[event.key];
+    if (!direction || !this._getControlCoord(this.focusedControl)) return false;
+
+    const step = event.shiftKey ? 10 : 1;
+    this.nudgeControl(
+      this.focusedControl,
+      direction[0] * step,
+      direction[1] * step
+    );
+
+    return true;
+  }
+
+  /**
+   * @description 以圖片像素為單位移動透視控制點
+   * @param {string} name 控制點名稱
+   * @param {number} dx
+   * @param {number} dy
+   * @return {boolean} 是否有移動（角點會形成不合法的四邊形時為 false）
+   */
+  nudgeControl(name, dx, dy) {
+    const coord = this._getControlCoord(name);
+
+    return (
+      !!coord && this._moveControlPoint(name, coord[0] + dx, coord[1] + dy)
+    );
+  }
+
+  /**
+   * @description 取得透視控制點在畫布上的位置
+   * @param {string} name 控制點名稱
+   * @param {boolean} [absolute] 為 true 時回傳不含畫布縮放與平移（viewportTransform）的座標
+   * @return {fabric.Point|null}
+   */
+  getControlPointPosition(name, absolute = false) {
+    const coord = this._getControlCoord(name);
+    if (!coord) return null;
+
+    return fabric.util.transformPoint(
+      new fabric.Point(coord[0], coord[1]),
+      this._getWarpTransformMatrix(absolute)
+    );
+  }
+
+  /**
+   * @description 將透視控制點移到畫布上的指定位置
+   * @param {string} name 控制點名稱
+   * @param {number} x 畫布上的 x 座標
+   * @param {number} y 畫布上的 y 座標
+   * @param {boolean} [absolute] 為 true 時表示傳入的座標不含畫布縮放與平移（viewportTransform）
+   * @return {boolean} 是否有移動
+   */
+  setControlPointPosition(name, x, y, absolute = false) {
+    const point = fabric.util.transformPoint(
+      new fabric.Point(x, y),
+      fabric.util.invertTransform(this._getWarpTransformMatrix(absolute))
+    );
+
+    return this._moveControlPoint(name, point.x, point.y);
+  }
+
+  /**
+   * @description 取得四個透視角點在畫布上的座標（不含畫布縮放與平移）
+   * @return {number[][]|null} 左上、右上、右下、左下，尚未初始化透視座標時回傳 null
+   */
+  getPerspective() {
+    if (!this.perspectiveCoords) return null;
+
+    return this._toCanvasCoords(this.perspectiveCoords);
+  }
+
+  /**
+   * @description 將四個透視角點設定到畫布上的座標，並一次重建尺寸、位置、控制點與濾鏡
+   * 曲線邊緣的切線控制點與 mesh 的網格節點以新舊四邊形之間的單應性一併轉換，維持原本的彎曲。
+   * 不受角點限制模式影響；完成時觸發 'perspective:changed'，動畫期間每一格觸發 'perspective:changing'。
+   * @param {number[][]} coords 左上、右上、右下、左下在畫布上的座標（不含畫布縮放與平移，與 getPerspective() 相同）
+   * @param {Object} [options]
+   * @param {boolean|Object} [options.animate] 是否以動畫移動角點，可傳入 { duration, easing, onComplete }
+   * @return {boolean} 是否已套用（或開始動畫），會形成凹陷、交錯或翻轉的四邊形時為 false
+   */
+  setPerspective(coords, { animate = false } = {}) {
+    const previous = this.getPerspective();
+    if (!previous || !this.getPerspectiveFilter()) return false;
+
+    if (!isValidQuad(this._toWarpCoords(coords))) return false;
+
+    this._transitionPerspective(
+      (t, draft) =>
+        this._applyPerspective(
+          previous.map(([x, y], index) => [
+            x + (coords[index][0] - x) * t,
+            y + (coords[index][1] - y) * t,
+          ]),
+          { draft }
+        ),
+      animate && {
+        duration: PERSPECTIVE_ANIMATION_DURATION,
+        ...(animate === true ? {} : animate),
+      }
+    );
+
+    return true;
+  }
+
+  /**
+   * @private
+   * @description 以補間套用透視變更，setPerspective() 與 animatePerspective()（見 animation.js）共用
+   * 動畫期間每一格以草稿網格套用並觸發 'perspective:changing'，最後以完整的網格密度套用終點
+   * 並觸發 'perspective:changed'。新的變更會取代進行中的動畫，被取代的動畫不會觸發完成事件。
+   * @param {function(number, boolean): void} applyFrame 套用進度 t（0..1）的狀態，第二個參數表示是否為草稿
+   * @param {Object|false} animate 動畫選項 { duration, easing, onChange, onComplete }，為 false 時直接套用終點
+   */
+  _transitionPerspective(applyFrame, animate) {
+    const previous = this.getPerspective();
+    const animation = {};
+    const { duration, easing, onChange, onComplete } = animate || {};
+    const finish = () => {
+      this._perspectiveAnimation = null;
+      applyFrame(1, false);
+      this._firePerspectiveEvent('perspective:changed', {
+        control: null,
+        index: null,
+        previous,
+        current: this.getPerspective(),
+      });
+      onComplete && onComplete();
+    };
+
+    this._perspectiveAnimation = animation;
+    if (!animate) return finish();
+
+    fabric.util.animate({
+      startValue: 0,
+      endValue: 1,
+      duration,
+      easing,
+      abort: () => this._perspectiveAnimation !== animation,
+      onChange: (t) => {
+        const before = this.getPerspective();
+
+        applyFrame(t, true);
+        this._firePerspectiveEvent('perspective:changing', {
+          control: null,
+          index: null,
+          previous: before,
+          current: this.getPerspective(),
+        });
+        onChange && onChange(t);
+      },
+      onComplete: () => {
+        // 被新的變更取代時，由新的變更觸發完成事件
+        this._perspectiveAnimation === animation && finish();
+      },
+    });
+  }
+
+  /**
+   * @private
+   * @description 將扭曲座標轉為畫布上的座標（不含畫布縮放與平移）
+   * @param {number[][]} coords
+   * @return {number[][]}
+   */
+  _toCanvasCoords(coords) {
+    const m = this._getWarpTransformMatrix(true);
+
+    return coords.map(([x, y]) => {
+      const point = fabric.util.transformPoint(new fabric.Point(x, y), m);
+      return [point.x, point.y];
+    });
+  }
+
+  /**
+   * @private
+   * @description 將畫布上的座標（不含畫布縮放與平移）轉為扭曲座標
+   * @param {number[][]} coords
+   * @return {number[][]}
+   */
+  _toWarpCoords(coords) {
+    const m = fabric.util.invertTransform(this._getWarpTransformMatrix(true));
+
+    return coords.map(([x, y]) => {
+      const point = fabric.util.transformPoint(new fabric.Point(x, y), m);
+      return [point.x, point.y];
+    });
+  }
+
+  /**
+   * @private
+   * @description 將四個角點設為畫布上的座標，照片的其餘部分留在原位
+   * 切線控制點與網格節點未指定時，以新舊四邊形之間的單應性一併轉換。
+   * @param {number[][]} coords 四個角點在畫布上的座標（不含畫布縮放與平移）
+   * @param {Object} [options]
+   * @param {boolean} [options.draft] 是否以較粗的網格套用濾鏡（動畫期間，見 _finishDraft）
+   * @param {number[][][]|null} [options.meshCoords] 網格節點在畫布上的座標，null 表示不使用網格
+   * @param {number[][][]|null} [options.edgeHandles] 切線控制點在畫布上的座標，null 表示四邊皆為直線
+   * @return {boolean} 是否有變更
+   */
+  _applyPerspective(coords, { draft = false, meshCoords, edgeHandles } = {}) {
+    const corners = this._toWarpCoords(coords);
+    const from = invert(squareToQuad(this.perspectiveCoords));
+    if (!from) return false;
+
+    const to = squareToQuad(corners);
+    const warp = (point) => {
+      const [u, v] = transformPoint(from, point[0], point[1]);
+      [point[0], point[1]] = transformPoint(to, u, v);
+    };
+    const toWarp = (rows) => rows && rows.map((row) => this._toWarpCoords(row));
+
+    return this._keepWarpInPlace(() => {
+      if (meshCoords !== undefined) {
+        this.meshCoords = toWarp(meshCoords);
+      } else if (this.meshCoords) {
+        this.meshCoords.forEach((row) => row.forEach(warp));
+      }
+      if (edgeHandles !== undefined) {
+        this.edgeHandles = toWarp(edgeHandles);
+      } else if (this.edgeHandles) {
+        this.edgeHandles.forEach((edge) => edge.forEach(warp));
+      }
+      corners.forEach(([x, y], index) => {
+        this.perspectiveCoords[index][0] = x;
+        this.perspectiveCoords[index][1] = y;
+      });
+
+      this.getPerspectiveFilter().draft = draft;
+      this._updateWarp();
+    });
+  }
+
+  /**
+   * @private
+   * @description 取得控制點名稱對應的座標陣列
+   * @param {string|null} name prs1..prs4、hdl{edge}_{1|2} 或 msh{row}_{col}
+   * @return {number[]|null}
+   */
+  _getControlCoord(name) {
+    const corner = /^prs(\d)$/.exec(name);
+    const handle = /^hdl(\d)_(\d)$/.exec(name);
+    const node = /^msh(\d+)_(\d+)$/.exec(name);
+
+    if (corner && this.perspectiveCoords) {
+      return this.perspectiveCoords[corner[1] - 1] || null;
+    }
+    if (handle && this.edgeHandles) {
+      return (this.edgeHandles[handle[1] - 1] || [])[handle[2] - 1] || null;
+    }
+    if (node && this.meshCoords) {
+      return (this.meshCoords[node[1]] || [])[node[2]] || null;
+    }
+
+    return null;
+  }
+
+  /**
+   * @private
+   * @description 將控制點移到扭曲座標 (x, y)，重新計算邊界盒並平移物件，讓其他控制點留在原位，再重新套用濾鏡
+   * 角點會依限制模式移動，並且無法形成不合法的四邊形。
+   * @param {string} name 控制點名稱
+   * @param {number} x
+   * @param {number} y
+   * @param {Object} [options]
+   * @param {boolean} [options.draft] 是否以較粗的網格套用濾鏡（拖曳期間，見 _finishDraft）
+   * @return {boolean} 是否有移動
+   */
+  _moveControlPoint(name, x, y, { draft = false } = {}) {
+    const coord = this._getControlCoord(name);
+    if (!coord) return false;
+
+    const index = name.startsWith('prs')
+      ? this.perspectiveCoords.indexOf(coord)
+      : null;
+    const previous = this.getPerspective();
+    const moved = this._keepWarpInPlace(() => {
+      if (index !== null) {
+        if (!this._moveCorner(index, x, y)) {
+          return false;
+        }
+      } else {
+        coord[0] = x;
+        coord[1] = y;
+      }
+
+      this._resetSizeAndPosition();
+    });
+    if (!moved) return false;
+
+    const perspectiveFilter = this.getPerspectiveFilter();
+    perspectiveFilter && (perspectiveFilter.draft = draft);
+    this.applyFilters();
+    this.canvas && this.canvas.requestRenderAll();
+
+    const change = {
+      control: name,
+      index,
+      previous,
+      current: this.getPerspective(),
+    };
+
+    if (draft) {
+      // 拖曳中：記錄拖曳開始時的角點，放開滑鼠時觸發 'perspective:changed'
+      this._pendingChange = {
+        ...change,
+        previous: (this._pendingChange || change).previous,
+      };
+      this._firePerspectiveEvent('perspective:changing', change);
+    } else {
+      this._firePerspectiveEvent('perspective:changed', change);
+    }
+
+    return true;
+  }
+
+  /**
+   * @private
+   * @description 放開滑鼠時，以拖曳開始與結束時的角點觸發 'perspective:changed'
+   */
+  _finishPerspectiveChange() {
+    const change = this._pendingChange;
+    if (!change) return;
+
+    this._pendingChange = null;
+    this._firePerspectiveEvent('perspective:changed', {
+      ...change,
+      current: this.getPerspective(),
+    });
+  }
+
+  /**
+   * @private
+   * @description 在照片與畫布上觸發透視事件，畫布上的事件以 target 指出照片（與 fabric 的物件事件相同）
+   * @param {string} eventName
+   * @param {Object} options 事件內容
+   */
+  _firePerspectiveEvent(eventName, options) {
+    this.fire(eventName, options);
+    this.canvas && this.canvas.fire(eventName, { ...options, target: this });
+  }
+
+  /**
+   * @private
+   * @description 執行會重新計算邊界盒的操作（扭曲座標會改以新的左上角為原點，見 _applyPointsOffset），
+   * 並平移物件，讓扭曲後的圖片留在畫布上原本的位置
+   * @param {function(): (boolean|void)} fn 要執行的操作，回傳 false 表示沒有變更
+   * @return {boolean} 是否有變更
+   */
+  _keepWarpInPlace(fn) {
+    const origin = fabric.util.transformPoint(
+      new fabric.Point(0, 0),
+      this._getWarpTransformMatrix(true)
+    );
+
+    if (fn() === false) return false;
+
+    const moved = fabric.util.transformPoint(
+      new fabric.Point(-this.pathOffset.x, -this.pathOffset.y),
+      this._getWarpTransformMatrix(true)
+    );
+    this.left += origin.x - moved.x;
+    this.top += origin.y - moved.y;
+    this.setCoords();
+
+    return true;
+  }
+
+  /**
+   * @description 顯示或隱藏邊緣切線控制點（不影響曲線本身）
+   * @param {boolean} visible 是否顯示
+   */
+  setEdgeHandlesVisible(visible = true) {
+    this.showEdgeHandles = visible;
+
+    this.perspectiveMode && this.togglePerspective(true);
+  }
+
+  /**
+   * @description 設定要拼貼在扭曲曲面上的布料樣本，樣本會跟著扭曲一起呈現透視
+   * @param {string|null} src 樣本圖片網址，為 null 時回到顯示原圖
+   * @param {function(fabric.Photo, boolean): void} [callback]
+   * 樣本載入並套用後的回呼函式，第二個參數表示是否載入失敗
+   */
+  setSwatch(src, callback) {
+    const perspectiveFilter = this.getPerspectiveFilter();
+    this.swatchSrc = src || null;
+
+    // 濾鏡尚未建立時，會在圖片載入後由 getInitialPerspective() 套用
+    if (!perspectiveFilter) {
+      callback && callback(this, false);
+      return;
+    }
+
+    perspectiveFilter.setSwatch(this.swatchSrc, (_, isError) => {
+      this._updateWarp();
+      callback && callback(this, isError);
+    });
+  }
+
+  /**
+   * @description 調整樣本拼貼的縮放、旋轉與位移，未指定的值維持不變
+   * @param {Object} transform
+   * @param {number} [transform.scale] 縮放比例
+   * @param {number} [transform.angle] 旋轉角度（度）
+   * @param {number} [transform.offsetX] 水平位移（圖片像素）
+   * @param {number} [transform.offsetY] 垂直位移（圖片像素）
+   */
+  setSwatchTransform({ scale, angle, offsetX, offsetY } = {}) {
+    scale !== undefined && (this.swatchScale = scale);
+    angle !== undefined && (this.swatchAngle = angle);
+    offsetX !== undefined && (this.swatchOffsetX = offsetX);
+    offsetY !== undefined && (this.swatchOffsetY = offsetY);
+
+    this._updateWarp();
+  }
+
+  /**
+   * @description 設定樣本與原圖光影的混合方式，讓樣本保留原圖的皺褶、陰影與高光
+   * @param {Object} shading
+   * @param {string|null} [shading.mode] 'multiply'、'overlay'、'soft-light'，為 null 時不混合
+   * @param {number} [shading.strength] 混合強度（0..1）
+   */
+  setShading({ mode, strength } = {}) {
+    mode !== undefined && (this.shadingMode = mode);
+    strength !== undefined && (this.shadingStrength = strength);
+
+    this._updateWarp();
+  }
+
+  /**
+   * @description 設定自訂光影圖（與原圖對齊的灰階圖），取代原圖本身的亮度
+   * @param {string|null} src 光影圖網址，為 null 時改回使用原圖的亮度
+   * @param {function(fabric.Photo, boolean): void} [callback]
+   * 光影圖載入並套用後的回呼函式，第二個參數表示是否載入失敗
+   */
+  setShadingMap(src, callback) {
+    const perspectiveFilter = this.getPerspectiveFilter();
+    this.shadingMapSrc = src || null;
+
+    if (!perspectiveFilter) {
+      callback && callback(this, false);
+      return;
+    }
+
+    perspectiveFilter.setShadingMap(this.shadingMapSrc, (_, isError) => {
+      this._updateWarp();
+      callback && callback(this, isError);
+    });
+  }
+
+  /**
+   * @description 將照片上的樣本與光影設定同步到透視濾鏡，網址改變時重新載入圖片
+   * @param {fabric.Image.filters.Perspective} perspectiveFilter
+   */
+  _syncSwatch(perspectiveFilter) {
+    const onLoad = () => {
+      this.applyFilters();
+      this.canvas && this.canvas.requestRenderAll();
+    };
+
+    perspectiveFilter.swatchScale = this.swatchScale;
+    perspectiveFilter.swatchAngle = this.swatchAngle;
+    perspectiveFilter.swatchOffsetX = this.swatchOffsetX;
+    perspectiveFilter.swatchOffsetY = this.swatchOffsetY;
+    perspectiveFilter.shadingMode = this.shadingMode;
+    perspectiveFilter.shadingStrength = this.shadingStrength;
+
+    if (perspectiveFilter.swatchSrc !== this.swatchSrc) {
+      perspectiveFilter.setSwatch(this.swatchSrc, onLoad);
+    }
+    if (perspectiveFilter.shadingMapSrc !== this.shadingMapSrc) {
+      perspectiveFilter.setShadingMap(this.shadingMapSrc, onLoad);
+    }
+  }
+
+  /**
+   * @description 將照片（含扭曲後的結果）裁切到分割遮罩的某個區域，區域邊緣會經過柔化
+   * 裁切範圍跟著遮罩所對應的照片（mask.photo）移動、縮放與扭曲，
+   * 因此多張照片可以共用同一個遮罩，各自裁切到同一張商品照的不同區域。
+   * @param {fabric.SegmentationMask} mask 分割遮罩，可在遮罩載入完成前設定
+   * @param {string} region 區域 id 或任何 fabric.Color 可解析的顏色
+   * @param {Object} [options]
+   * @param {number} [options.feather] 邊緣柔化的寬度（遮罩像素），預設為 1
+   */
+  setClipRegion(mask, region, { feather = 1 } = {}) {
+    this.clearClipRegion();
+
+    this.clipRegion = { mask, region, feather };
+    mask.canvas.on('before:render', this._updateClipRegion);
+    mask.canvas.requestRenderAll();
+  }
+
+  /**
+   * @description 取消區域裁切
+   */
+  clearClipRegion() {
+    if (!this.clipRegion) return;
+
+    const canvas = this.clipRegion.mask.canvas;
+    canvas.off('before:render', this._updateClipRegion);
+    this.clipRegion = null;
+    this._clipRegionCache = null;
+    this.clipPath = undefined;
+    this.dirty = true;
+    canvas.requestRenderAll();
+  }
+
+  /**
+   * @private
+   * 每次繪製畫布前，依遮罩照片目前的扭曲與變形更新裁切範圍
+   * 裁切圖片以遮罩照片的物件座標繪製，只有扭曲或遮罩改變時才重新繪製，
+   * 移動、縮放、旋轉時只需要更新裁切圖片的變形。
+   */
+  _updateClipRegion = () => {
+    const { mask, region, feather } = this.clipRegion;
+    const base = mask.photo;
+    const perspectiveFilter = base.getPerspectiveFilter();
+    if (!mask.index || !perspectiveFilter) return;
+
+    const cache = this._clipRegionCache || (this._clipRegionCache = {});
+
+    // 遮罩重新載入時，重新建立柔化後的區域圖片
+    if (cache.index !== mask.index) {
+      const id = mask.getRegion(region) ? region : mask.findRegion(region);
+      cache.index = mask.index;
+      // 找不到區域時以全透明的圖片裁切，整張照片都不顯示
+      cache.regionCanvas = mask.createRegionCanvas(
+        id ? { [id]: 'black' } : {},
+        feather
+      );
+      cache.tess = null;
+    }
+
+    const tess = perspectiveFilter.generateSurface();
+    const { left, top } = base._calcDimensions();
+    const width = base.width;
+    const height = base.height;
+
+    if (!cache.clip) {
+      cache.clip = new fabric.Image(fabric.util.createCanvasElement(), {
+        absolutePositioned: true,
+        excludeFromExport: true,
+        originX: 'center',
+        originY: 'center',
+      });
+    }
+
+    // 以與遮罩照片相同的網格扭曲區域圖片：網格座標 → 裁切圖片的像素
+    if (cache.tess !== tess || cache.paddingKey !== base._paddingKey) {
+      const clipCanvas = cache.clip.getElement();
+      clipCanvas.width = Math.max(1, Math.ceil(width));
+      clipCanvas.height = Math.max(1, Math.ceil(height));
+
+      const ctx = clipCanvas.getContext('2d');
+      ctx.scale(
+        clipCanvas.width / (width || 1),
+        clipCanvas.height / (height || 1)
+      );
+      ctx.translate(-left, -top);
+
+      for (let i = 0; i < tess.faces.length; i++) {
+        const face = tess.faces[i];
+        const src = face.map((index) => mask._mapUvToMask(tess.uvs[index]));
+        const dst = face.map((index) => tess.points[index]);
+
+        perspectiveFilter.drawTriangle(ctx, cache.regionCanvas, src, dst);
+      }
+
+      cache.tess = tess;
+      cache.paddingKey = base._paddingKey;
+      cache.clip.dirty = true;
+    }
+
+    // 裁切圖片的物件座標與遮罩照片相同，直接沿用遮罩照片（含群組）的變形
+    const transform = fabric.util.qrDecompose(base.calcTransformMatrix());
+    cache.clip.set({
+      width,
+      height,
+      left: transform.translateX,
+      top: transform.translateY,
+      scaleX: transform.scaleX,
+      scaleY: transform.scaleY,
+      angle: transform.angle,
+      skewX: transform.skewX,
+      skewY: transform.skewY,
+    });
+
+    this.clipPath = cache.clip;
+  };
+
+  /**
+   * @description 將扭曲後的照片繪製到新的 canvas，解析度不受畫布縮放與裝置像素比率影響
+   * 未指定尺寸時以來源圖片的原始解析度輸出（1 個圖片像素對應 1 個輸出像素）；
+   * 照片的旋轉、區域裁切等效果會一併輸出，範圍為照片的外框。
+   * @param {Object} [options] 匯出選項，詳見 export.js
+   * @return {HTMLCanvasElement}
+   */
+  toExportCanvas(options = {}) {
+    const rect = this.getBoundingRect(true, true);
+    const { scaleX, scaleY } = this.getObjectScaling();
+    const scale = getExportScale(options, rect, 1 / Math.max(scaleX, scaleY));
+
+    const canvasEl = fabric.util.createCanvasElement();
+    canvasEl.width = Math.max(1, Math.ceil(rect.width * scale));
+    canvasEl.height = Math.max(1, Math.ceil(rect.height * scale));
+
+    const exportCanvas = new fabric.StaticCanvas(canvasEl, {
+      enableRetinaScaling: false,
+      renderOnAddRemove: false,
+      skipOffscreen: false,
+    });
+    exportCanvas.viewportTransform = [
+      scale,
+      0,
+      0,
+      scale,
+      -rect.left * scale,
+      -rect.top * scale,
+    ];
+    exportCanvas.calcViewportBoundaries();
+
+    // 不透過 add() 加入，避免觸發 'added' 事件重新載入圖片
+    const originalCanvas = this.canvas;
+    this._setExportScale(scale);
+    this.canvas = exportCanvas;
+    withoutCacheLimits(() =>
+      exportCanvas.renderCanvas(exportCanvas.getContext(), [this])
+    );
+    this.canvas = originalCanvas;
+    this._setExportScale(null);
+
+    return finishExportCanvas(canvasEl, options);
+  }
+
+  /**
+   * @description 將扭曲後的照片匯出為 PNG、JPEG 或 WebP，預設為透明背景
+   * @param {Object} [options] 匯出選項，詳見 export.js
+   * @param {function((string|Blob|null), boolean): void} callback
+   * 匯出完成後的回呼函式，第一個參數為 data URL 或 Blob，第二個參數表示是否編碼失敗
+   */
+  exportImage(options = {}, callback) {
+    encodeCanvas(this.toExportCanvas(options), options, callback);
+  }
+
+  /**
+   * @description 將原圖中以四個點框出的透視區域攤平成矩形圖片（與透視濾鏡相反的方向）
+   * 可以先在畫布上以 fabric.PerspectivePlane 框出區域，再以 canvasToSource() 將角點轉為原圖座標。
+   * @param {number[][]} points 四個點（左上、右上、右下、左下），原圖像素（不含邊距）
+   * @param {Object} [options] 輸出尺寸、長寬比與映射方式，詳見 rectify.js 的 rectifyImage()
+   * @return {HTMLCanvasElement|null} 圖片尚未載入時回傳 null
+   */
+  toRectifiedCanvas(points, options) {
+    const element = this._sourceElement || this._originalElement;
+
+    return element ? rectifyImage(element, points, options) : null;
+  }
+
+  /**
+   * @description 將原圖中的透視區域攤平成新的矩形照片（加入畫布後才會載入圖片）
+   * @param {number[][]} points 同 toRectifiedCanvas()
+   * @param {Object} [options] 同 toRectifiedCanvas()
+   * @param {Object} [photoOptions] 新照片的 fabric 選項（位置、縮放等）
+   * @return {fabric.Photo|null} 圖片尚未載入時回傳 null
+   */
+  rectify(points, options, photoOptions) {
+    const canvasEl = this.toRectifiedCanvas(points, options);
+
+    return canvasEl && new fabric.Photo(canvasEl.toDataURL(), photoOptions);
+  }
+
+  /**
+   * @description 依輸出的倍率重新套用透視濾鏡，匯出完成後以 null 還原為畫面上的解析度
+   * 結果超過 WebGL 貼圖上限（fabric.textureSize）時，改以 Canvas2D 後端套用。
+   * @param {number|null} scale 每單位畫布座標的輸出像素數
+   */
+  _setExportScale(scale) {
+    const perspectiveFilter = this.getPerspectiveFilter();
+    if (!perspectiveFilter) return;
+
+    const backend = fabric.filterBackend;
+
+    if (scale === null) {
+      perspectiveFilter.pixelRatio = this._exportState.pixelRatio;
+      perspectiveFilter.draft = this._exportState.draft;
+      this._exportState = null;
+    } else {
+      const { scaleX, scaleY } = this.getObjectScaling();
+      this._exportState = {
+        pixelRatio: perspectiveFilter.pixelRatio,
+        draft: perspectiveFilter.draft,
+      };
+      perspectiveFilter.pixelRatio = scale * Math.max(scaleX, scaleY);
+      perspectiveFilter.draft = false;
+
+      const size =
+        Math.max(this.width, this.height) * perspectiveFilter.pixelRatio;
+      if (
+        size > fabric.textureSize &&
+        backend instanceof fabric.WebglFilterBackend
+      ) {
+        fabric.filterBackend = new fabric.Canvas2dFilterBackend();
+      }
+    }
+
+    this.applyFilters();
+    fabric.filterBackend = backend;
+  }
+
+  /**
+   * @description 結束拖曳期間的草稿繪製，以完整的網格密度重新套用濾鏡
+   */
+  _finishDraft() {
+    const perspectiveFilter = this.getPerspectiveFilter();
+    if (!perspectiveFilter || !perspectiveFilter.draft) return;
+
+    perspectiveFilter.draft = false;
+    this.applyFilters();
+    this.canvas && this.canvas.requestRenderAll();
+  }
+
+  /**
+   * @description 釋放圖片資源、區域裁切的畫布事件，以及透視濾鏡佔用的 WebGL 緩衝區
+   */
+  dispose() {
+    this.clearClipRegion();
+    this.filters.forEach((filter) => filter.dispose && filter.dispose());
+    super.dispose();
+  }
+
+  /**
+   * @description 將目前的扭曲設定同步到透視濾鏡，並重建尺寸、控制點與濾鏡結果
+   */
+  _updateWarp() {
+    const perspectiveFilter = this.getPerspectiveFilter();
+    this._warpOutline = null;
+    this._updatePaddedElement();
+
+    if (perspectiveFilter) {
+      perspectiveFilter.warpMode = this.warpMode;
+      perspectiveFilter.meshCoords = this.meshCoords;
+      perspectiveFilter.edgeHandles = this.edgeHandles;
+      this._syncSwatch(perspectiveFilter);
+
+      this._syncMeshCorners();
+      this._resetSizeAndPosition();
+      this.setCoords();
+      this.applyFilters();
+    }
+
+    // 控制點的數量隨模式改變，需要重新建立
+    this.perspectiveMode && this.togglePerspective(true);
+    this.canvas && this.canvas.requestRenderAll();
+  }
+};
+
+/**
+ * @static
+ * @description 從 object 的描述中建立 fabric.Photo 實例
+ * @param {Object} _object 要還原成 Photo 的物件描述
+ * @param {Function} callback 建立完成後的回呼函式
+ * @param {Object} [options] 轉換舊版本資料的選項，見 fabric.Photo.migrate()
+ *
+ * 此方法會先嘗試從 object.src 載入圖片，若載入成功，則應用相應的濾鏡與裁切路徑，
+ * 最終回呼 callback 傳回一個新的 fabric.Photo 物件實例。
+ */
+fabric.Photo.fromObject = function (_object, callback, options) {
+  // 子類別（例如 fabric.PerspectiveGroup）以 call 指定要建立的類別
+  const klass = this || fabric.Photo;
+  const object = fabric.Photo.migrate(
+    fabric.util.object.clone(_object),
+    options
+  );
+  object.layout = _object.layout;
+
+  // 載入圖片
+  fabric.util.loadImage(
+    object.src,
+    function (img, isError) {
+      if (isError) {
+        // 若載入失敗，回呼 callback 傳回 null 並標示錯誤
+        callback && callback(null, true);
+        return;
+      }
+      // 初始化濾鏡
+      fabric.Photo.prototype._initFilters.call(
+        object,
+        object.filters,
+        function (filters) {
+          object.filters = filters || [];
+          fabric.Photo.prototype._initFilters.call(
+            object,
+            [object.resizeFilter],
+            function (resizeFilters) {
+              object.resizeFilter = resizeFilters[0];
+
+              // 若有 clipPath，則還原並實例化
+              fabric.util.enlivenObjects(
+                [object.clipPath],
+                function (enlivedProps) {
+                  object.clipPath = enlivedProps[0];
+                  // 建立新的 fabric.Photo 實例（圖片已在快取中，由建構子重新載入）
+                  var image = new klass(img.src, object);
+                  callback(image, false);
+                }
+              );
+            }
+          );
+        }
+      );
+    },
+    null,
+    object.crossOrigin || 'anonymous'
+  );
+};
+
+/**
+ * @static
+ * @description 將舊版本儲存的物件描述轉換為目前版本（PERSPECTIVE_VERSION）的格式
+ * @param {Object} object 物件描述（會直接修改並回傳）
+ * @param {Object} [options]
+ * @param {number} [options.pixelRatio] 版本 0 儲存當下的 devicePixelRatio（預設為 1）
+ * @return {Object}
+ *
+ * - 版本 0（沒有 perspectiveVersion）：只有以 toJSON(['perspectiveCoords', 'perspectiveMode'])
+ *   輸出時才有透視座標與模式，單位與版本 1 相同（已乘上 devicePixelRatio），直接沿用；
+ *   濾鏡只儲存了 type（其餘選項都遺失），一律移除，在圖片載入後由座標重建或重新初始化。
+ * - 版本 1：照片的寬高曾除以儲存當下的 devicePixelRatio（記錄在濾鏡的 pixelRatio），
+ *   座標本身已是圖片像素；改以 scaleX/scaleY 補償，讓畫面上的大小維持不變，
+ *   並讓濾鏡改用繪製當下的像素比例。版本 0 沒有記錄 pixelRatio，由呼叫端以 options.pixelRatio 指定，
+ *   不使用載入當下的 devicePixelRatio（與儲存時的螢幕無關）。
+ */
+fabric.Photo.migrate = function (object, options = {}) {
+  const version = object.perspectiveVersion || 0;
+
+  if (version < 1) {
+    const { perspectiveCoords } = object;
+    const isValid =
+      Array.isArray(perspectiveCoords) &&
+      perspectiveCoords.length === 4 &&
+      perspectiveCoords.every(
+        (coord) =>
+          Array.isArray(coord) && coord.slice(0, 2).every(Number.isFinite)
+      );
+
+    if (isValid) {
+      object.perspectiveMode = !!object.perspectiveMode;
+    } else {
+      delete object.perspectiveCoords;
+      delete object.perspectiveMode;
+    }
+
+    // 由 refreshPerspective() 以照片上的座標重建，或由 getInitialPerspective() 重新建立
+    object.filters = (object.filters || []).filter(
+      (filter) => !filter || filter.type !== 'Perspective'
+    );
+  }
+
+  if (version < 2) {
+    object.filters = (object.filters || []).map((filter) =>
+      filter && filter.type === 'Perspective' ? { ...filter } : filter
+    );
+
+    const perspectiveFilter = object.filters.find(
+      (filter) => filter && filter.type === 'Perspective'
+    );
+    // 版本 0 的濾鏡沒有儲存 pixelRatio，當時的寬高同樣除以了 devicePixelRatio
+    const pixelRatio =
+      (perspectiveFilter && perspectiveFilter.pixelRatio) ||
+      (version < 1 ? options.pixelRatio || 1 : 1);
+
+    object.scaleX = (object.scaleX || 1) / pixelRatio;
+    object.scaleY = (object.scaleY || 1) / pixelRatio;
+    perspectiveFilter && (perspectiveFilter.pixelRatio = null);
+  }
+
+  object.perspectiveVersion = PERSPECTIVE_VERSION;
+  // 座標會在拖曳時被直接修改，不可與傳入的 JSON 共用參照
+  object.perspectiveCoords = cloneCoords(object.perspectiveCoords);
+  object.meshCoords = cloneCoords(object.meshCoords);
+  object.edgeHandles = cloneCoords(object.edgeHandles);
+
+  return object;
 };
@@ -0,0 +1,209 @@
+import { fabric } from 'fabric';
+import { cloneCoords } from './coords';
+import { isValidQuad } from './constraints';
+import { getVanishingPoints } from './homography';
+
+/**
+ * 建立新的平面識別碼，與載入的設計中的平面不會重複
+ * @return {string}
+ */
+function createPlaneId() {
+  return `plane-${Date.now().toString(36)}-${Math.random()
+    .toString(36)
+    .slice(2, 8)}`;
+}
+
+/**
+ * fabric.PerspectivePlane 透視平面
+ * @class fabric.PerspectivePlane
+ * @extends fabric.Object
+ *
+ * 以四個角點（左上、右上、右下、左下）描述畫面中的一個平面（牆面、地板、椅面等），
+ * 四邊延伸後交會於平面的兩個消失點。照片以 fabric.Photo#attachToPlane 對齊平面後，
+ * 拖曳角點時四邊會通過這兩個消失點，同一個平面上的多張照片因此呈現一致的透視。
+ *
+ * 平面只用於編輯，會隨設計序列化（照片以 planeId 記錄對齊的平面），但不會出現在匯出的圖片中；
+ * 不支援縮放與旋轉，以四個角點的控制點調整形狀。
+ * 調整平面不會改變已對齊的照片，照片會在下次拖曳角點時對齊新的消失點。
+ */
+fabric.PerspectivePlane = class extends fabric.Object {
+  type = 'perspectivePlane';
+  // 平面的識別碼，照片以此記錄對齊的平面（fabric.Photo#perspectivePlaneId）
+  planeId = null;
+  // 四個角點 [[x, y], ...]，以物件左上角為原點
+  points = null;
+  originX = 'left';
+  originY = 'top';
+  fill = 'rgba(30, 144, 255, 0.08)';
+  stroke = '#1e90ff';
+  strokeWidth = 1;
+  strokeDashArray = [6, 4];
+  strokeUniform = true;
+  objectCaching = false;
+  hasBorders = false;
+  lockRotation = true;
+  lockScalingX = true;
+  lockScalingY = true;
+
+  /**
+   * 狀態屬性（fabric 用於 hasStateChanged 以及 undo/redo），額外加入角點
+   */
+  stateProperties = fabric.Object.prototype.stateProperties.concat('points');
+
+  /**
+   * 建構子
+   * @param {number[][]|null} corners 四個角點在畫布上的座標（左上、右上、右下、左下）
+   * @param {object} [options] fabric 物件的相關選項
+   */
+  constructor(corners, options) {
+    super(options);
+
+    if (options) this.setOptions(options);
+    if (corners) this.setCorners(corners);
+    if (!this.planeId) this.planeId = createPlaneId();
+
+    // 只保留四個角點的控制點
+    this.controls = this._createCornerControls();
+  }
+
+  /**
+   * @description 取得四個角點在畫布上的座標（不含畫布縮放與平移）
+   * @return {number[][]}
+   */
+  getCorners() {
+    const matrix = this.calcTransformMatrix();
+
+    return this.points.map(([x, y]) => {
+      const point = fabric.util.transformPoint(
+        new fabric.Point(x - this.width / 2, y - this.height / 2),
+        matrix
+      );
+      return [point.x, point.y];
+    });
+  }
+
+  /**
+   * @description 以畫布上的座標設定四個角點，並重新計算物件的位置與尺寸
+   * @param {number[][]} corners 四個角點（左上、右上、右下、左下）
+   */
+  setCorners(corners) {
+    const xs = corners.map((corner) => corner[0]);
+    const ys = corners.map((corner) => corner[1]);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    const maxX = Math.max(...xs);
+    const maxY = Math.max(...ys);
+
+    this.points = corners.map(([x, y]) => [x - minX, y - minY]);
+    this.width = maxX - minX;
+    this.height = maxY - minY;
+    this.setPositionByOrigin(
+      new fabric.Point((minX + maxX) / 2, (minY + maxY) / 2),
+      'center',
+      'center'
+    );
+    this.setCoords();
+  }
+
+  /**
+   * @description 將一個角點移到畫布上的 (x, y)
+   * @param {number} index 角點索引
+   * @param {number} x
+   * @param {number} y
+   * @return {boolean} 是否有移動（會形成凹陷、交錯或翻轉的四邊形時為 false）
+   */
+  moveCorner(index, x, y) {
+    const corners = this.getCorners();
+    corners[index] = [x, y];
+
+    if (!isValidQuad(corners)) return false;
+
+    this.setCorners(corners);
+    return true;
+  }
+
+  /**
+   * @description 取得平面的兩個消失點（畫布座標的齊次座標，見 homography.js 的 getVanishingPoints()）
+   * @return {{ horizontal: number[], vertical: number[] }}
+   */
+  getVanishingPoints() {
+    return getVanishingPoints(this.getCorners());
+  }
+
+  /**
+   * @description 將平面序列化為 JSON 物件，額外包含四個角點
+   * @param {string[]} [propertiesToInclude] 額外需要輸出的屬性
+   * @return {Object}
+   */
+  toObject(propertiesToInclude = []) {
+    return {
+      ...super.toObject(propertiesToInclude),
+      planeId: this.planeId,
+      points: cloneCoords(this.points),
+    };
+  }
+
+  /**
+   * @description 只畫在畫布本身的重繪上，匯出圖片（toCanvasElement 等離屏繪製）時不繪製
+   * @param {CanvasRenderingContext2D} ctx
+   */
+  render(ctx) {
+    if (!this.canvas || ctx !== this.canvas.contextContainer) return;
+
+    super.render(ctx);
+  }
+
+  /**
+   * @private
+   * @param {CanvasRenderingContext2D} ctx
+   */
+  _render(ctx) {
+    ctx.beginPath();
+    this.points.forEach(([x, y], index) => {
+      const method = index ? 'lineTo' : 'moveTo';
+      ctx[method](x - this.width / 2, y - this.height / 2);
+    });
+    ctx.closePath();
+    this._renderPaintInOrder(ctx);
+  }
+
+  /**
+   * @private
+   * @description 為四個角點建立控制器
+   * @return {Object} 以 pln1..pln4 為名稱的控制器集合
+   */
+  _createCornerControls() {
+    return [0, 1, 2, 3].reduce((controls, index) => {
+      controls[`pln${index + 1}`] = new fabric.Control({
+        actionName: 'perspective-plane',
+        cursorStyleHandler: () => 'cell',
+        positionHandler: (dim, finalMatrix, fabricObject) => {
+          const [x, y] = fabricObject.getCorners()[index];
+
+          return fabric.util.transformPoint(
+            new fabric.Point(x, y),
+            fabricObject.canvas.viewportTransform
+          );
+        },
+        actionHandler: (_, transform, x, y) =>
+          transform.target.moveCorner(index, x, y),
+      });
+
+      return controls;
+    }, {});
+  }
+};
+
+/**
+ * @static
+ * @description 從 object 的描述中建立 fabric.PerspectivePlane 實例
+ * @param {Object} object 要還原的物件描述
+ * @param {Function} callback 建立完成後的回呼函式
+ */
+fabric.PerspectivePlane.fromObject = function (object, callback) {
+  const { points, ...options } = object;
+  const plane = new fabric.PerspectivePlane(null, options);
+
+  plane.points = cloneCoords(points);
+  callback && callback(plane);
+};
@@ -0,0 +1,110 @@
+import { fabric } from 'fabric';
+import { estimateAspectRatio } from './homography';
+
+/**
+ * 透視校正 (Rectify / Unwarp)
+ *
+ * 透視濾鏡將平面的來源圖片扭曲成四邊形，這裡則是反方向：將圖片中以四個點框出的透視區域
+ * （斜拍的布料樣本、商品標籤）攤平成正面的矩形圖片。
+ * 輸出圖片的每個 UV 以透視濾鏡相同的映射（createPointMapper）找到來源圖片上的位置，
+ * 再以三角網格逐一做仿射貼圖（與濾鏡的 Canvas2D 路徑相同）。
+ */
+
+// 輸出網格每邊的分割數，projective 映射以仿射三角形近似時的精度
+const DIVISIONS = 32;
+
+function distance(a, b) {
+  return Math.hypot(a[0] - b[0], a[1] - b[1]);
+}
+
+/**
+ * 將圖片中的四邊形區域攤平成矩形
+ * 未指定輸出尺寸時，高度取左右兩邊中較長的一邊（避免損失解析度），寬度依長寬比計算；
+ * 只指定寬或高其中之一時，依長寬比計算另一個；兩者都指定時忽略長寬比。
+ * @param {HTMLImageElement|HTMLCanvasElement} image 來源圖片
+ * @param {number[][]} corners 四個角點（左上、右上、右下、左下），圖片像素
+ * @param {Object} [options]
+ * @param {number} [options.width] 輸出寬度（像素）
+ * @param {number} [options.height] 輸出高度（像素）
+ * @param {number|'auto'} [options.aspectRatio] 長寬比（寬 / 高），'auto'（預設）時由四邊形估計
+ * @param {string} [options.warpMode] 區域的映射方式：'projective'（預設，真實的平面透視）或 'bilinear'
+ * @param {number[][][]} [options.edgeHandles] 四邊的切線控制點，可攤平彎曲的區域（例如瓶身上的標籤）
+ * @return {HTMLCanvasElement}
+ */
+export function rectifyImage(
+  image,
+  corners,
+  {
+    width,
+    height,
+    aspectRatio = 'auto',
+    warpMode = 'projective',
+    edgeHandles = null,
+  } = {}
+) {
+  const ratio =
+    aspectRatio === 'auto'
+      ? estimateAspectRatio(corners, {
+          width: image.naturalWidth || image.width,
+          height: image.naturalHeight || image.height,
+        })
+      : aspectRatio;
+
+  if (!width && !height) {
+    height = Math.max(
+      distance(corners[0], corners[3]),
+      distance(corners[1], corners[2])
+    );
+  }
+  width = Math.max(1, Math.round(width || height * ratio));
+  height = Math.max(1, Math.round(height || width / ratio));
+
+  // 以透視濾鏡的映射將輸出的 UV 對應到來源圖片上的位置
+  const filter = new fabric.Image.filters.Perspective({
+    perspectiveCoords: corners,
+    warpMode: edgeHandles ? 'bilinear' : warpMode,
+    edgeHandles,
+  });
+  const pointAt = filter.createPointMapper();
+
+  const canvasEl = fabric.util.createCanvasElement();
+  canvasEl.width = width;
+  canvasEl.height = height;
+  const ctx = canvasEl.getContext('2d');
+  fabric.util.setImageSmoothing(ctx, true);
+
+  const grid = [];
+  for (let row = 0; row <= DIVISIONS; row++) {
+    grid.push([]);
+    for (let col = 0; col <= DIVISIONS; col++) {
+      const u = col / DIVISIONS;
+      const v = row / DIVISIONS;
+      grid[row].push({ src: pointAt(u, v), dst: [u * width, v * height] });
+    }
+  }
+
+  for (let row = 0; row < DIVISIONS; row++) {
+    for (let col = 0; col < DIVISIONS; col++) {
+      const cell = [
+        grid[row][col],
+        grid[row][col + 1],
+        grid[row + 1][col + 1],
+        grid[row + 1][col],
+      ];
+
+      [
+        [cell[0], cell[1], cell[2]],
+        [cell[0], cell[2], cell[3]],
+      ].forEach((triangle) =>
+        filter.drawTriangle(
+          ctx,
+          image,
+          triangle.map((point) => point.src),
+          triangle.map((point) => point.dst)
+        )
+      );
+    }
+  }
+
+  return canvasEl;
+}
@@ -0,0 +1,465 @@
+import { fabric } from 'fabric';
+
+/**
+ * 沿單一方向對預乘 alpha 的像素做方框模糊，範圍外的像素視為透明
+ * @param {Float32Array} src 來源像素（RGBA）
+ * @param {Float32Array} dst 輸出像素（RGBA）
+ * @param {number} width
+ * @param {number} height
+ * @param {number} radius 模糊半徑（像素）
+ * @param {boolean} horizontal 是否為水平方向
+ */
+function boxBlur(src, dst, width, height, radius, horizontal) {
+  const length = horizontal ? width : height;
+  const lines = horizontal ? height : width;
+  const step = horizontal ? 4 : width * 4;
+  const lineStep = horizontal ? width * 4 : 4;
+  const size = radius * 2 + 1;
+
+  for (let line = 0; line < lines; line++) {
+    const start = line * lineStep;
+
+    for (let c = 0; c < 4; c++) {
+      let sum = 0;
+      for (let i = 0; i <= radius && i < length; i++) {
+        sum += src[start + i * step + c];
+      }
+
+      for (let i = 0; i < length; i++) {
+        dst[start + i * step + c] = sum / size;
+        if (i + radius + 1 < length)
+          sum += src[start + (i + radius + 1) * step + c];
+        if (i - radius >= 0) sum -= src[start + (i - radius) * step + c];
+      }
+    }
+  }
+}
+
+/**
+ * 柔化區域的邊緣：以兩次方框模糊近似高斯模糊
+ * 在預乘 alpha 的空間中計算，區域外透明像素的顏色不會滲入邊緣。
+ * @param {ImageData} imageData 要柔化的像素資料（直接修改）
+ * @param {number} feather 柔化的寬度（像素）
+ */
+function featherImageData(imageData, feather) {
+  const { width, height, data } = imageData;
+  const radius = Math.max(1, Math.ceil(feather / 2));
+  let pixels = new Float32Array(data.length);
+  let buffer = new Float32Array(data.length);
+
+  for (let i = 0; i < data.length; i += 4) {
+    const alpha = data[i + 3] / 255;
+    pixels[i] = data[i] * alpha;
+    pixels[i + 1] = data[i + 1] * alpha;
+    pixels[i + 2] = data[i + 2] * alpha;
+    pixels[i + 3] = data[i + 3];
+  }
+
+  for (let pass = 0; pass < 2; pass++) {
+    boxBlur(pixels, buffer, width, height, radius, true);
+    boxBlur(buffer, pixels, width, height, radius, false);
+  }
+
+  for (let i = 0; i < data.length; i += 4) {
+    const alpha = pixels[i + 3] / 255;
+    data[i + 3] = pixels[i + 3];
+    if (!alpha) continue;
+
+    data[i] = pixels[i] / alpha;
+    data[i + 1] = pixels[i + 1] / alpha;
+    data[i + 2] = pixels[i + 2] / alpha;
+  }
+}
+
+/**
+ * fabric.SegmentationMask 色塊分割遮罩
+ * @class fabric.SegmentationMask
+ *
+ * 以色塊標示區域的遮罩圖片（每個區域一種顏色）描述照片上的各個部位，例如沙發的椅墊、扶手。
+ * 載入遮罩時會一次建立「每個像素屬於哪個區域」的索引，之後的查詢與高亮都只需要查表，
+ * 不需要在每次滑鼠移動時掃描整張圖片。
+ *
+ * 區域以代表色的十六進位字串（例如 '#ff0000'）作為 id。
+ * 遮罩與照片的來源圖片以 UV 對齊（兩者尺寸可以不同），畫布上的點會透過
+ * fabric.Photo#canvasToSource 轉換，因此查詢結果會跟著照片的移動、縮放、畫布縮放與透視扭曲。
+ *
+ * 事件（以 on/off 訂閱）：
+ * - 'region:hover'：滑鼠移到另一個區域，離開所有區域時 region 為 null
+ * - 'region:select'：點擊區域切換選取狀態，selected 表示切換後是否為選取
+ */
+fabric.SegmentationMask = class {
+  /**
+   * 建構子
+   * @param {fabric.Canvas} canvas 照片所在的畫布
+   * @param {fabric.Photo} photo 遮罩所對應的照片
+   * @param {Object} [options] 覆寫 tolerance、hoverColor、selectColor、highlight 等預設值
+   */
+  constructor(canvas, photo, options) {
+    this.canvas = canvas;
+    this.photo = photo;
+    if (options) Object.assign(this, options);
+
+    this.canvas.on('mouse:move', this._onMouseMove);
+    this.canvas.on('mouse:out', this._onMouseOut);
+    this.canvas.on('mouse:down', this._onMouseDown);
+    this.photo.overlays.push(this._renderHighlight);
+  }
+
+  // 每個色版的差異都在此範圍內的顏色視為同一個區域（避免壓縮雜訊產生額外的區域）
+  tolerance = 5;
+  // 是否在畫布上高亮懸停與選取的區域
+  highlight = true;
+  // 懸停區域的高亮顏色
+  hoverColor = 'rgba(255, 255, 255, 0.25)';
+  // 選取區域的高亮顏色
+  selectColor = 'rgba(255, 0, 0, 0.25)';
+  // 遮罩圖片的寬高
+  width = 0;
+  height = 0;
+  // 每個像素所屬區域在 regions 中的索引 + 1，0 表示不屬於任何區域（透明像素）
+  index = null;
+  // 區域列表，每個區域含 id、color [r, g, b] 與 area（像素數）
+  regions = [];
+  // 目前懸停的區域 id
+  hoveredRegion = null;
+  // 已選取的區域 id
+  selectedRegions = new Set();
+
+  /**
+   * 載入遮罩圖片並建立區域索引，會清除目前的懸停與選取狀態
+   * @param {string} src 遮罩圖片網址
+   * @param {function(fabric.SegmentationMask, boolean): void} [callback]
+   * 載入完成後的回呼函式，第二個參數表示是否載入失敗
+   */
+  load(src, callback) {
+    fabric.util.loadImage(
+      src,
+      (img, isError) => {
+        if (isError) {
+          callback && callback(this, true);
+          return;
+        }
+
+        const width = img.naturalWidth || img.width;
+        const height = img.naturalHeight || img.height;
+        const maskCanvas = fabric.util.createCanvasElement();
+        maskCanvas.width = width;
+        maskCanvas.height = height;
+        const ctx = maskCanvas.getContext('2d');
+        ctx.drawImage(img, 0, 0);
+
+        this._buildIndex(ctx.getImageData(0, 0, width, height));
+        callback && callback(this, false);
+        this.canvas.requestRenderAll();
+      },
+      null,
+      'anonymous'
+    );
+  }
+
+  /**
+   * 查詢畫布上某一點所在的區域
+   * @param {number} x 畫布上的 x 座標
+   * @param {number} y 畫布上的 y 座標
+   * @param {boolean} [absolute] 為 true 時表示座標不含畫布縮放與平移（viewportTransform）
+   * @return {string|null} 區域 id，不在照片或任何區域上時回傳 null
+   */
+  getRegionAt(x, y, absolute = false) {
+    const { width, height } = this.photo._getSourceSize();
+    const point = this.photo.canvasToSource(x, y, absolute);
+    if (!point || !width || !height) return null;
+
+    return this.getRegionAtUv(point.x / width, point.y / height);
+  }
+
+  /**
+   * 查詢遮罩上某個 UV (0..1) 位置所在的區域
+   * @param {number} u
+   * @param {number} v
+   * @return {string|null} 區域 id
+   */
+  getRegionAtUv(u, v) {
+    if (!this.index || u < 0 || u > 1 || v < 0 || v > 1) return null;
+
+    const x = Math.min(this.width - 1, Math.floor(u * this.width));
+    const y = Math.min(this.height - 1, Math.floor(v * this.height));
+    const regionIndex = this.index[y * this.width + x];
+
+    return regionIndex ? this.regions[regionIndex - 1].id : null;
+  }
+
+  /**
+   * 依 id 取得區域資料
+   * @param {string} id 區域 id
+   * @return {Object|undefined} 含 id、color、area 的區域資料
+   */
+  getRegion(id) {
+    return this.regions.find((region) => region.id === id);
+  }
+
+  /**
+   * 依顏色尋找區域（容許 tolerance 以內的差異）
+   * @param {string} color 任何 fabric.Color 可解析的顏色，例如 '#ff0000' 或 'rgb(255,0,0)'
+   * @return {string|null} 區域 id
+   */
+  findRegion(color) {
+    const [r, g, b] = new fabric.Color(color).getSource();
+    const regionIndex = this._findRegionIndex(r, g, b);
+
+    return regionIndex === -1 ? null : this.regions[regionIndex].id;
+  }
+
+  /**
+   * 建立以遮罩尺寸繪製的區域圖片，區域內為指定的顏色、區域外為透明
+   * @param {Object.<string, string>} colors 區域 id 對應的填色
+   * @param {number} [feather] 邊緣柔化的寬度（遮罩像素），0 表示保留遮罩原本的硬邊
+   * @return {HTMLCanvasElement|null}
+   */
+  createRegionCanvas(colors, feather = 0) {
+    if (!this.index) return null;
+
+    // 以區域索引直接查表取得每個像素的顏色
+    const palette = [null].concat(
+      this.regions.map((region) =>
+        colors[region.id]
+          ? new fabric.Color(colors[region.id]).getSource()
+          : null
+      )
+    );
+    const regionCanvas = fabric.util.createCanvasElement();
+    regionCanvas.width = this.width;
+    regionCanvas.height = this.height;
+    const ctx = regionCanvas.getContext('2d');
+    const imageData = ctx.createImageData(this.width, this.height);
+    const data = imageData.data;
+
+    for (let i = 0; i < this.index.length; i++) {
+      const color = palette[this.index[i]];
+      if (!color) continue;
+
+      data[i * 4] = color[0];
+      data[i * 4 + 1] = color[1];
+      data[i * 4 + 2] = color[2];
+      data[i * 4 + 3] = color[3] * 255;
+    }
+
+    feather > 0 && featherImageData(imageData, feather);
+    ctx.putImageData(imageData, 0, 0);
+    return regionCanvas;
+  }
+
+  /**
+   * 設定區域的選取狀態，並觸發 'region:select'
+   * @param {string} id 區域 id
+   * @param {boolean} [selected] 是否選取，省略時切換目前的狀態
+   * @param {Event} [e] 觸發選取的滑鼠事件
+   */
+  select(id, selected = !this.selectedRegions.has(id), e) {
+    if (!this.getRegion(id) || this.selectedRegions.has(id) === selected) {
+      return;
+    }
+
+    selected ? this.selectedRegions.add(id) : this.selectedRegions.delete(id);
+    this.fire('region:select', { region: id, selected, e });
+    this.canvas.requestRenderAll();
+  }
+
+  /**
+   * 取消所有區域的選取
+   */
+  clearSelection() {
+    Array.from(this.selectedRegions).forEach((id) => this.select(id, false));
+  }
+
+  /**
+   * 移除畫布事件監聽
+   */
+  dispose() {
+    this.canvas.off('mouse:move', this._onMouseMove);
+    this.canvas.off('mouse:out', this._onMouseOut);
+    this.canvas.off('mouse:down', this._onMouseDown);
+    this.photo.overlays = this.photo.overlays.filter(
+      (overlay) => overlay !== this._renderHighlight
+    );
+    this.canvas.requestRenderAll();
+  }
+
+  /**
+   * @private
+   * 由遮罩的像素資料建立區域索引
+   * @param {ImageData} imageData 遮罩圖片的像素資料
+   */
+  _buildIndex(imageData) {
+    const { width, height, data } = imageData;
+    const index = new Uint16Array(width * height);
+    // 完全相同的顏色直接查表，只有第一次遇到的顏色需要比對 tolerance
+    const colorToRegion = new Map();
+
+    this.width = width;
+    this.height = height;
+    this.regions = [];
+    this.hoveredRegion = null;
+    this.selectedRegions = new Set();
+    this._highlightCache = null;
+
+    for (let i = 0; i < index.length; i++) {
+      const offset = i * 4;
+      if (data[offset + 3] === 0) continue;
+
+      const r = data[offset];
+      const g = data[offset + 1];
+      const b = data[offset + 2];
+      const key = (r << 16) | (g << 8) | b;
+      let regionIndex = colorToRegion.get(key);
+
+      if (regionIndex === undefined) {
+        regionIndex = this._findRegionIndex(r, g, b);
+
+        // 索引以 16 位元儲存，超過上限的顏色不再建立新區域
+        if (regionIndex === -1 && this.regions.length < 0xffff) {
+          regionIndex = this.regions.length;
+          this.regions.push({
+            id:
+              '#' +
+              [r, g, b].map((c) => c.toString(16).padStart(2, '0')).join(''),
+            color: [r, g, b],
+            area: 0,
+          });
+        }
+        colorToRegion.set(key, regionIndex);
+      }
+
+      if (regionIndex === -1) continue;
+
+      index[i] = regionIndex + 1;
+      this.regions[regionIndex].area += 1;
+    }
+
+    this.index = index;
+  }
+
+  /**
+   * @private
+   * 尋找代表色與指定顏色差異在 tolerance 以內的區域
+   * @return {number} 區域在 regions 中的索引，找不到時回傳 -1
+   */
+  _findRegionIndex(r, g, b) {
+    return this.regions.findIndex(
+      ({ color }) =>
+        Math.abs(color[0] - r) <= this.tolerance &&
+        Math.abs(color[1] - g) <= this.tolerance &&
+        Math.abs(color[2] - b) <= this.tolerance
+    );
+  }
+
+  /**
+   * @private
+   * 將照片透視濾鏡網格的 UV（含邊距的來源圖片）轉為遮罩上的像素座標
+   * @param {number[]} uv
+   * @return {number[]} 遮罩像素座標 [x, y]
+   */
+  _mapUvToMask([u, v]) {
+    const { width, height } = this.photo._getSourceSize();
+    const [x, y] = this.photo._mapUvToSource(u, v);
+
+    return [(x / width) * this.width, (y / height) * this.height];
+  }
+
+  /**
+   * @private
+   * 取得目前懸停與選取區域的高亮圖片，狀態未改變時沿用上次的結果
+   * @return {HTMLCanvasElement|null}
+   */
+  _getHighlightCanvas() {
+    const colors = {};
+
+    this.hoveredRegion && (colors[this.hoveredRegion] = this.hoverColor);
+    // 已選取的區域以選取的顏色為主
+    this.selectedRegions.forEach((id) => (colors[id] = this.selectColor));
+
+    if (!Object.keys(colors).length) return null;
+
+    const key = JSON.stringify(colors);
+    if (!this._highlightCache || this._highlightCache.key !== key) {
+      this._highlightCache = { key, canvas: this.createRegionCanvas(colors) };
+    }
+
+    return this._highlightCache.canvas;
+  }
+
+  /**
+   * @private
+   * 滑鼠移動時更新懸停的區域
+   */
+  _onMouseMove = (opt) => {
+    if (!this.index || !opt.e) return;
+
+    const pointer = this.canvas.getPointer(opt.e, true);
+    const region = this.getRegionAt(pointer.x, pointer.y);
+    if (region === this.hoveredRegion) return;
+
+    const previous = this.hoveredRegion;
+    this.hoveredRegion = region;
+    this.fire('region:hover', { region, previous, e: opt.e });
+    this.highlight && this.canvas.requestRenderAll();
+  };
+
+  /**
+   * @private
+   * 滑鼠離開畫布時清除懸停的區域
+   */
+  _onMouseOut = (opt) => {
+    // 滑鼠在畫布上的物件之間移動時也會觸發 'mouse:out'（帶有 nextTarget），這裡只處理離開畫布
+    if (!this.hoveredRegion || (opt && 'nextTarget' in opt)) return;
+
+    const previous = this.hoveredRegion;
+    this.hoveredRegion = null;
+    this.fire('region:hover', { region: null, previous, e: opt && opt.e });
+    this.highlight && this.canvas.requestRenderAll();
+  };
+
+  /**
+   * @private
+   * 點擊區域時切換選取狀態（拖曳控制點時不處理）
+   */
+  _onMouseDown = (opt) => {
+    if (!this.index || !opt.e) return;
+    if (opt.transform && opt.transform.corner) return;
+
+    const pointer = this.canvas.getPointer(opt.e, true);
+    const region = this.getRegionAt(pointer.x, pointer.y);
+
+    region && this.select(region, undefined, opt.e);
+  };
+
+  /**
+   * @private
+   * 作為照片的疊加層（fabric.Photo#overlays），在照片之後、控制點之前依照片目前的扭曲繪製高亮區域
+   * 只繪製在畫面上的 canvas，不會出現在 toDataURL 等匯出結果中。
+   * @param {CanvasRenderingContext2D} ctx 已轉為照片扭曲座標的 Context
+   */
+  _renderHighlight = (ctx) => {
+    if (!this.highlight || ctx !== this.canvas.contextContainer) return;
+
+    const perspectiveFilter = this.photo.getPerspectiveFilter();
+    const highlightCanvas = this._getHighlightCanvas();
+    if (!perspectiveFilter || !highlightCanvas) return;
+
+    const tess = perspectiveFilter.generateSurface();
+
+    ctx.save();
+    // 以與照片相同的網格扭曲高亮圖片：網格座標 → 照片的扭曲座標
+    for (let i = 0; i < tess.faces.length; i++) {
+      const face = tess.faces[i];
+      const src = face.map((index) => this._mapUvToMask(tess.uvs[index]));
+      const dst = face.map((index) => tess.points[index]);
+
+      perspectiveFilter.drawTriangle(ctx, highlightCanvas, src, dst);
+    }
+
+    ctx.restore();
+  };
+};
+
+// 讓遮罩可以使用 on/off/fire 訂閱與觸發事件
+Object.assign(fabric.SegmentationMask.prototype, fabric.Observable);
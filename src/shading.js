@@ -0,0 +1,38 @@
+/**
+ * 光影混合 (Shading) 工具
+ *
+ * 將拼貼的布料樣本與原圖的亮度混合，保留原圖的皺褶、陰影與高光。
+ * 混合公式與 W3C Compositing and Blending 規範相同：樣本為底色 (backdrop)，亮度為混合色 (source)。
+ * 與 Perspective 濾鏡的 swatchFragmentSource 使用相同的公式，讓 WebGL 與 Canvas2D 的結果一致。
+ */
+
+/**
+ * 支援的混合模式，在 shader 中以「索引 + 1」表示（0 為不混合）
+ * @type {string[]}
+ */
+export const SHADING_MODES = ['multiply', 'overlay', 'soft-light'];
+
+/**
+ * 混合單一色版
+ * @param {number} base 樣本的色版值 (0..1)
+ * @param {number} light 原圖或光影圖的亮度 (0..1)
+ * @param {string} mode 'multiply'、'overlay' 或 'soft-light'
+ * @return {number} 混合後的色版值 (0..1)
+ */
+export function blendShading(base, light, mode) {
+  switch (mode) {
+    case 'multiply':
+      return base * light;
+    case 'overlay':
+      return base <= 0.5 ? 2 * base * light : 1 - 2 * (1 - base) * (1 - light);
+    case 'soft-light': {
+      if (light <= 0.5) return base - (1 - 2 * light) * base * (1 - base);
+
+      const d =
+        base <= 0.25 ? ((16 * base - 12) * base + 4) * base : Math.sqrt(base);
+      return base + (2 * light - 1) * (d - base);
+    }
+    default:
+      return base;
+  }
+}
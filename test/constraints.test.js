@@ -0,0 +1,134 @@
+import { describe, expect, it } from 'vitest';
+import {
+  constrainCorner,
+  isValidQuad,
+  moveCorner,
+  snapCorners,
+} from '../src/constraints';
+
+const square = [
+  [0, 0],
+  [200, 0],
+  [200, 100],
+  [0, 100],
+];
+
+// 平均寬度 / 平均高度
+function aspectOf(corners) {
+  const length = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1]);
+  const width =
+    (length(corners[0], corners[1]) + length(corners[3], corners[2])) / 2;
+  const height =
+    (length(corners[0], corners[3]) + length(corners[1], corners[2])) / 2;
+
+  return width / height;
+}
+
+describe('isValidQuad', () => {
+  it('accepts a clockwise convex quad', () => {
+    expect(isValidQuad(square)).toBe(true);
+  });
+
+  it('rejects self-intersecting and flipped quads', () => {
+    expect(isValidQuad([square[0], square[2], square[1], square[3]])).toBe(
+      false
+    );
+    expect(isValidQuad(square.slice().reverse())).toBe(false);
+  });
+});
+
+describe('constrainCorner', () => {
+  it('keeps a rectangle axis-aligned', () => {
+    expect(constrainCorner('rectangle', square, 2, [250, 150])).toEqual([
+      [0, 0],
+      [250, 0],
+      [250, 150],
+      [0, 150],
+    ]);
+  });
+
+  it('keeps a parallelogram by moving the opposite corner', () => {
+    const corners = constrainCorner('parallelogram', square, 2, [220, 120]);
+
+    expect(corners[0]).toEqual([-20, -20]);
+  });
+
+  describe("'aspect'", () => {
+    it('keeps the aspect ratio', () => {
+      [
+        [180, 300],
+        [400, 100],
+        [150, 50],
+        [100, 100],
+      ].forEach((point) => {
+        const corners = constrainCorner('aspect', square, 2, point, {
+          aspectRatio: 2,
+        });
+
+        expect(aspectOf(corners)).toBeCloseTo(2, 6);
+      });
+    });
+
+    it('projects the dragged corner onto the closest point of the constraint', () => {
+      // 對角與相鄰角點不動時，曲線為 |P - 左下| = 2 |P - 右上| 的 Apollonius 圓
+      const center = [800 / 3, -100 / 3];
+      const radius = (2 * Math.hypot(200, 100)) / 3;
+      const point = [180, 300];
+      const scale =
+        radius / Math.hypot(point[0] - center[0], point[1] - center[1]);
+      const [x, y] = constrainCorner('aspect', square, 2, point, {
+        aspectRatio: 2,
+      })[2];
+
+      expect(x).toBeCloseTo(center[0] + (point[0] - center[0]) * scale, 3);
+      expect(y).toBeCloseTo(center[1] + (point[1] - center[1]) * scale, 3);
+    });
+
+    it('does not move a corner that already satisfies the ratio', () => {
+      const [x, y] = constrainCorner('aspect', square, 2, [200, 100], {
+        aspectRatio: 2,
+      })[2];
+
+      expect(x).toBeCloseTo(200, 6);
+      expect(y).toBeCloseTo(100, 6);
+    });
+  });
+});
+
+describe('snapCorners', () => {
+  it('snaps any quad to its bounding rectangle', () => {
+    expect(
+      snapCorners('rectangle', [
+        [10, 0],
+        [200, 20],
+        [190, 100],
+        [0, 90],
+      ])
+    ).toEqual([
+      [0, 0],
+      [200, 0],
+      [200, 100],
+      [0, 100],
+    ]);
+  });
+});
+
+describe('moveCorner', () => {
+  it('clamps a drag that would flip the quad', () => {
+    const corners = moveCorner(null, square, 2, [-100, -100]);
+
+    expect(isValidQuad(corners)).toBe(true);
+    expect(corners[2][0]).toBeGreaterThan(0);
+  });
+
+  it('does not clamp a quad that was already invalid', () => {
+    const dented = [
+      [0, 0],
+      [200, 0],
+      [100, 10],
+      [0, 100],
+    ];
+
+    expect(moveCorner(null, dented, 2, [50, 20])[2]).toEqual([50, 20]);
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'vitest';
+import { cloneCoords, isPointInPolygon } from '../src/coords';
+
+describe('cloneCoords', () => {
+  it('deep copies nested coordinate arrays', () => {
+    const meshCoords = [
+      [
+        [0, 0],
+        [10, 0],
+      ],
+      [
+        [0, 10],
+        [10, 10],
+      ],
+    ];
+    const clone = cloneCoords(meshCoords);
+
+    expect(clone).toEqual(meshCoords);
+    clone[1][0][0] = 5;
+    expect(meshCoords[1][0][0]).toBe(0);
+    expect(clone[0]).not.toBe(meshCoords[0]);
+  });
+
+  it('passes through null and undefined', () => {
+    expect(cloneCoords(null)).toBeNull();
+    expect(cloneCoords(undefined)).toBeUndefined();
+  });
+});
+
+describe('isPointInPolygon', () => {
+  // 凹多邊形（缺口朝上的 U 形）
+  const polygon = [
+    { x: 0, y: 0 },
+    { x: 10, y: 0 },
+    { x: 10, y: 30 },
+    { x: 20, y: 30 },
+    { x: 20, y: 0 },
+    { x: 30, y: 0 },
+    { x: 30, y: 40 },
+    { x: 0, y: 40 },
+  ];
+
+  it('finds points inside the polygon', () => {
+    expect(isPointInPolygon({ x: 5, y: 20 }, polygon)).toBe(true);
+    expect(isPointInPolygon({ x: 15, y: 35 }, polygon)).toBe(true);
+    expect(isPointInPolygon({ x: 25, y: 5 }, polygon)).toBe(true);
+  });
+
+  it('rejects points outside the polygon or inside the notch', () => {
+    expect(isPointInPolygon({ x: 15, y: 10 }, polygon)).toBe(false);
+    expect(isPointInPolygon({ x: -5, y: 20 }, polygon)).toBe(false);
+    expect(isPointInPolygon({ x: 15, y: 45 }, polygon)).toBe(false);
+  });
+});
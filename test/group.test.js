@@ -0,0 +1,58 @@
+import { createRequire } from 'module';
+import { describe, expect, it } from 'vitest';
+
+// fabric 在 node 中依賴 node-canvas 的原生模組，無法載入時略過這些測試
+const hasCanvas = (() => {
+  try {
+    createRequire(import.meta.url)('canvas');
+    return true;
+  } catch (error) {
+    return false;
+  }
+})();
+
+// 4x4 的單色 PNG
+const PIXEL =
+  'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAQAAAAECAYAAACp8Z5+AAAAEklEQVR4nGM4YWPzHxkzkC4AAME4I/F4m3AdAAAAAElFTkSuQmCC';
+
+async function loadFabric() {
+  const { fabric } = await import('fabric');
+  await import('../src/filter');
+  await import('../src/photo');
+  await import('../src/group');
+  fabric.filterBackend = new fabric.Canvas2dFilterBackend();
+  return fabric;
+}
+
+function restore(fabric, object) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(
+      () => reject(new Error('PerspectiveGroup.fromObject did not call back')),
+      5000
+    );
+    fabric.PerspectiveGroup.fromObject(object, (group) => {
+      clearTimeout(timer);
+      resolve(group);
+    });
+  });
+}
+
+describe.skipIf(!hasCanvas)('PerspectiveGroup.fromObject', () => {
+  it('restores photos that were saved in perspective mode', async () => {
+    const fabric = await loadFabric();
+    const canvas = new fabric.StaticCanvas(null, { width: 100, height: 100 });
+    const photo = new fabric.Photo(PIXEL, { left: 10, top: 10 });
+
+    canvas.add(photo);
+    await new Promise((resolve) => photo.loadImage(resolve));
+    photo.togglePerspective(true);
+    canvas.remove(photo);
+
+    const object = fabric.PerspectiveGroup.fromObjects([photo]).toObject();
+    expect(object.objects[0].perspectiveMode).toBe(true);
+
+    const group = await restore(fabric, object);
+    expect(group).toBeInstanceOf(fabric.PerspectiveGroup);
+    expect(group.getObjects()[0].perspectiveMode).toBe(true);
+  });
+});
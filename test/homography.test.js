@@ -0,0 +1,201 @@
+import { describe, expect, it } from 'vitest';
+import {
+  cross,
+  estimateAspectRatio,
+  getHorizon,
+  getVanishingPoints,
+  invert,
+  squareToQuad,
+  transformPoint,
+} from '../src/homography';
+
+const quad = [
+  [10, 20],
+  [210, 40],
+  [190, 180],
+  [30, 150],
+];
+const unitSquare = [
+  [0, 0],
+  [1, 0],
+  [1, 1],
+  [0, 1],
+];
+
+// 齊次座標轉為 [x, y]
+function toPoint([x, y, w]) {
+  return [x / w, y / w];
+}
+
+describe('squareToQuad', () => {
+  it('maps the unit square corners onto the quad', () => {
+    const m = squareToQuad(quad);
+
+    unitSquare.forEach(([u, v], index) => {
+      const [x, y] = transformPoint(m, u, v);
+      expect(x).toBeCloseTo(quad[index][0], 9);
+      expect(y).toBeCloseTo(quad[index][1], 9);
+    });
+  });
+
+  it('degenerates to an affine matrix for a parallelogram', () => {
+    const m = squareToQuad([
+      [0, 0],
+      [100, 10],
+      [120, 60],
+      [20, 50],
+    ]);
+
+    expect(m.slice(6)).toEqual([0, 0, 1]);
+    expect(transformPoint(m, 0.5, 0.5)).toEqual([60, 30]);
+  });
+
+  it('keeps straight lines straight', () => {
+    const m = squareToQuad(quad);
+    const [a, b, c] = [0, 0.4, 1].map((u) => transformPoint(m, u, 0.3));
+    // 三點共線時，兩個向量的外積為 0
+    const area = (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+
+    expect(area).toBeCloseTo(0, 6);
+  });
+});
+
+describe('invert', () => {
+  it('maps the quad back onto the unit square', () => {
+    const m = invert(squareToQuad(quad));
+
+    quad.forEach(([x, y], index) => {
+      const [u, v] = transformPoint(m, x, y);
+      expect(u).toBeCloseTo(unitSquare[index][0], 9);
+      expect(v).toBeCloseTo(unitSquare[index][1], 9);
+    });
+  });
+
+  it('returns null for a singular matrix', () => {
+    expect(invert([1, 2, 3, 2, 4, 6, 0, 0, 1])).toBeNull();
+  });
+});
+
+describe('cross', () => {
+  it('joins two points and intersects two lines', () => {
+    // y = x 與 x + y = 10
+    const line = cross([0, 0, 1], [10, 10, 1]);
+    const other = cross([0, 10, 1], [10, 0, 1]);
+
+    expect(toPoint(cross(line, other))).toEqual([5, 5]);
+  });
+});
+
+describe('getVanishingPoints', () => {
+  it('intersects the opposite edges', () => {
+    const { horizontal, vertical } = getVanishingPoints([
+      [0, 0],
+      [100, 25],
+      [100, 75],
+      [0, 100],
+    ]);
+
+    expect(toPoint(horizontal)).toEqual([200, 50]);
+    expect(vertical[2]).toBe(0);
+  });
+
+  it('places both points at infinity for a parallelogram', () => {
+    const { horizontal, vertical } = getVanishingPoints(unitSquare);
+
+    expect(horizontal[2]).toBe(0);
+    expect(vertical[2]).toBe(0);
+  });
+});
+
+describe('getHorizon', () => {
+  it('passes through both vanishing points', () => {
+    const vanishingPoints = getVanishingPoints(quad);
+    const horizon = getHorizon(vanishingPoints);
+    const dot = (line, point) =>
+      line.reduce((sum, v, i) => sum + v * point[i], 0);
+
+    expect(horizon).not.toBeNull();
+    Object.values(vanishingPoints).forEach((point) => {
+      expect(
+        dot(horizon, point) / (Math.hypot(...horizon) * Math.hypot(...point))
+      ).toBeCloseTo(0, 9);
+    });
+  });
+
+  it('returns null for a parallelogram', () => {
+    expect(getHorizon(getVanishingPoints(unitSquare))).toBeNull();
+  });
+});
+
+const size = { width: 800, height: 600 };
+
+/**
+ * 以針孔相機拍攝一個旋轉後的矩形，回傳其在圖片上的四個角點
+ * @param {number} ratio 矩形的長寬比
+ * @param {number} yaw 繞 y 軸旋轉的角度（弧度）
+ * @param {number} pitch 繞 x 軸旋轉的角度（弧度）
+ * @return {number[][]}
+ */
+function photograph(ratio, yaw, pitch) {
+  const focal = 900;
+  const distance = 6;
+
+  return [
+    [-ratio, -1],
+    [ratio, -1],
+    [ratio, 1],
+    [-ratio, 1],
+  ].map(([x, y]) => {
+    // 先繞 y 軸再繞 x 軸旋轉，y 軸向下
+    const x1 = x * Math.cos(yaw);
+    const z1 = -x * Math.sin(yaw);
+    const y2 = y * Math.cos(pitch) - z1 * Math.sin(pitch);
+    const z2 = y * Math.sin(pitch) + z1 * Math.cos(pitch) + distance;
+
+    return [
+      (focal * x1) / z2 + size.width / 2,
+      (focal * y2) / z2 + size.height / 2,
+    ];
+  });
+}
+
+describe('estimateAspectRatio', () => {
+  it('recovers the aspect ratio of a rectangle seen in perspective', () => {
+    expect(
+      estimateAspectRatio(photograph(1.5, Math.PI / 5, Math.PI / 9), size)
+    ).toBeCloseTo(1.5, 6);
+    expect(
+      estimateAspectRatio(photograph(0.75, -Math.PI / 6, Math.PI / 12), size)
+    ).toBeCloseTo(0.75, 6);
+  });
+
+  it('uses the average edge lengths for a rectangle seen head-on', () => {
+    expect(
+      estimateAspectRatio(
+        [
+          [100, 100],
+          [500, 100],
+          [500, 300],
+          [100, 300],
+        ],
+        size
+      )
+    ).toBe(2);
+  });
+
+  it('falls back to the average edge lengths when the focal length is unknown', () => {
+    // 上下兩邊平行，只有一個有限遠的消失點
+    const corners = [
+      [300, 100],
+      [500, 100],
+      [600, 400],
+      [200, 400],
+    ];
+    const left = Math.hypot(100, 300);
+
+    expect(estimateAspectRatio(corners, size)).toBeCloseTo(
+      (200 + 400) / (2 * left),
+      9
+    );
+  });
+});
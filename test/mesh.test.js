@@ -0,0 +1,163 @@
+import { describe, expect, it } from 'vitest';
+import {
+  MAX_UINT16_VERTICES,
+  createCoonsMeshCoords,
+  createMeshIndices,
+  createMeshSurface,
+  createStraightEdgeHandles,
+  cropBezierMeshCoords,
+  getCoonsEdges,
+  getMeshCorners,
+  interpolateMesh,
+  sampleMeshCoords,
+} from '../src/mesh';
+
+const corners = [
+  [0, 0],
+  [300, 30],
+  [280, 200],
+  [20, 180],
+];
+
+// 四個角點之間的雙線性映射
+function bilinear(u, v) {
+  const [a, b, c, d] = corners;
+
+  return [0, 1].map(
+    (k) =>
+      a[k] * (1 - u) * (1 - v) +
+      b[k] * u * (1 - v) +
+      c[k] * u * v +
+      d[k] * (1 - u) * v
+  );
+}
+
+function expectPointsClose(actual, expected, digits = 6) {
+  expect(actual).toHaveLength(expected.length);
+  actual.forEach((point, index) => {
+    expect(point[0]).toBeCloseTo(expected[index][0], digits);
+    expect(point[1]).toBeCloseTo(expected[index][1], digits);
+  });
+}
+
+describe('sampleMeshCoords', () => {
+  it('reproduces the sampled mapping on the mesh surface', () => {
+    const meshCoords = sampleMeshCoords(bilinear, 5, 6);
+    const surface = createMeshSurface(meshCoords);
+
+    expect(meshCoords).toHaveLength(5);
+    expect(meshCoords[0]).toHaveLength(6);
+    [
+      [0, 0],
+      [0.3, 0.7],
+      [0.5, 0.5],
+      [1, 1],
+    ].forEach(([u, v]) => {
+      const [x, y] = surface.point(u, v);
+      const [ex, ey] = bilinear(u, v);
+      expect(x).toBeCloseTo(ex, 6);
+      expect(y).toBeCloseTo(ey, 6);
+    });
+  });
+
+  it('keeps the corners of the mapping', () => {
+    expectPointsClose(
+      getMeshCorners(sampleMeshCoords(bilinear, 4, 4)),
+      corners
+    );
+  });
+});
+
+describe('createCoonsMeshCoords', () => {
+  it('equals the bilinear patch for straight edges', () => {
+    const grid = createCoonsMeshCoords(
+      corners,
+      createStraightEdgeHandles(corners)
+    );
+
+    expectPointsClose(grid.flat(), sampleMeshCoords(bilinear, 4, 4).flat());
+  });
+
+  it('is reversed by getCoonsEdges', () => {
+    const edgeHandles = createStraightEdgeHandles(corners);
+    edgeHandles[0][0] = [100, -40];
+    edgeHandles[2][1] = [90, 230];
+
+    const result = getCoonsEdges(createCoonsMeshCoords(corners, edgeHandles));
+
+    expect(result.corners).toEqual(corners);
+    expect(result.edgeHandles).toEqual(edgeHandles);
+  });
+});
+
+describe('cropBezierMeshCoords', () => {
+  it('returns the same mesh for the full range', () => {
+    const grid = createCoonsMeshCoords(
+      corners,
+      createStraightEdgeHandles(corners)
+    );
+
+    expectPointsClose(
+      cropBezierMeshCoords(grid, 0, 0, 1, 1).flat(),
+      grid.flat()
+    );
+  });
+
+  it('crops the surface to the UV range', () => {
+    const grid = sampleMeshCoords(bilinear, 4, 4);
+    const cropped = cropBezierMeshCoords(grid, 0.25, 0.5, 0.75, 1);
+
+    expectPointsClose(getMeshCorners(cropped), [
+      bilinear(0.25, 0.5),
+      bilinear(0.75, 0.5),
+      bilinear(0.75, 1),
+      bilinear(0.25, 1),
+    ]);
+  });
+});
+
+describe('interpolateMesh', () => {
+  const tess = createMeshSurface(sampleMeshCoords(bilinear, 2, 2)).tessellate({
+    minDivsU: 4,
+    minDivsV: 4,
+  });
+
+  it('maps a UV to the rendered position', () => {
+    const [x, y] = interpolateMesh(tess, 'uvs', 'points', [0.5, 0.5]);
+    const [ex, ey] = bilinear(0.5, 0.5);
+
+    expect(x).toBeCloseTo(ex, 6);
+    expect(y).toBeCloseTo(ey, 6);
+  });
+
+  it('returns null outside the mesh', () => {
+    expect(interpolateMesh(tess, 'uvs', 'points', [1.5, 0.5])).toBeNull();
+  });
+});
+
+describe('createMeshIndices', () => {
+  it('uses 16-bit indices for small meshes', () => {
+    const tess = createMeshSurface(sampleMeshCoords(bilinear, 2, 2)).tessellate(
+      { minDivsU: 8, minDivsV: 8 }
+    );
+    const indices = createMeshIndices(tess);
+
+    expect(indices).toBeInstanceOf(Uint16Array);
+    expect(Array.from(indices)).toEqual(tess.faces.flat());
+  });
+
+  it('does not truncate indices beyond the 16-bit range', () => {
+    const tess = createMeshSurface(sampleMeshCoords(bilinear, 2, 2)).tessellate(
+      { minDivsU: 300, minDivsV: 300 }
+    );
+    const faces = tess.faces.flat();
+    const indices = createMeshIndices(tess);
+
+    expect(tess.points.length).toBeGreaterThan(MAX_UINT16_VERTICES);
+    expect(indices).toHaveLength(faces.length);
+    expect(indices.reduce((max, index) => Math.max(max, index), 0)).toBe(
+      tess.points.length - 1
+    );
+    expect(indices.every((index, i) => index === faces[i])).toBe(true);
+  });
+});
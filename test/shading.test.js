@@ -0,0 +1,71 @@
+import { describe, expect, it } from 'vitest';
+import { SHADING_MODES, blendShading } from '../src/shading';
+
+const samples = [0, 0.1, 0.25, 0.4, 0.5, 0.6, 0.75, 0.9, 1];
+
+describe('blendShading', () => {
+  it('multiplies the swatch by the light', () => {
+    expect(blendShading(0.8, 0.5, 'multiply')).toBeCloseTo(0.4, 12);
+    expect(blendShading(0.8, 1, 'multiply')).toBe(0.8);
+  });
+
+  it('keeps the swatch under neutral grey for overlay and soft-light', () => {
+    ['overlay', 'soft-light'].forEach((mode) => {
+      samples.forEach((base) => {
+        expect(blendShading(base, 0.5, mode)).toBeCloseTo(base, 12);
+      });
+    });
+  });
+
+  it('darkens with shadows and lightens with highlights', () => {
+    SHADING_MODES.forEach((mode) => {
+      expect(blendShading(0.6, 0.2, mode)).toBeLessThan(0.6);
+    });
+    ['overlay', 'soft-light'].forEach((mode) => {
+      expect(blendShading(0.6, 0.8, mode)).toBeGreaterThan(0.6);
+    });
+  });
+
+  it('matches the W3C overlay and soft-light formulas', () => {
+    expect(blendShading(0.3, 0.8, 'overlay')).toBeCloseTo(0.48, 12);
+    expect(blendShading(0.7, 0.2, 'overlay')).toBeCloseTo(0.52, 12);
+    expect(blendShading(0.2, 0.9, 'soft-light')).toBeCloseTo(
+      0.2 + 0.8 * (((16 * 0.2 - 12) * 0.2 + 4) * 0.2 - 0.2),
+      12
+    );
+    expect(blendShading(0.64, 0.9, 'soft-light')).toBeCloseTo(
+      0.64 + 0.8 * (0.8 - 0.64),
+      12
+    );
+  });
+
+  it('stays within 0..1 and is continuous at the mode thresholds', () => {
+    SHADING_MODES.forEach((mode) => {
+      samples.forEach((base) => {
+        samples.forEach((light) => {
+          const value = blendShading(base, light, mode);
+          expect(value).toBeGreaterThanOrEqual(0);
+          expect(value).toBeLessThanOrEqual(1);
+        });
+      });
+    });
+
+    samples.forEach((light) => {
+      expect(blendShading(0.5 + 1e-9, light, 'overlay')).toBeCloseTo(
+        blendShading(0.5, light, 'overlay'),
+        6
+      );
+    });
+    samples.forEach((base) => {
+      expect(blendShading(base, 0.5 + 1e-9, 'soft-light')).toBeCloseTo(
+        blendShading(base, 0.5, 'soft-light'),
+        6
+      );
+    });
+  });
+
+  it('returns the swatch unchanged for an unknown mode', () => {
+    expect(blendShading(0.3, 0.9, null)).toBe(0.3);
+    expect(blendShading(0.3, 0.9, 'screen')).toBe(0.3);
+  });
+});